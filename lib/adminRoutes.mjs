@@ -0,0 +1,104 @@
+// lib/adminRoutes.mjs
+// Admin/QA routes used by scripts/smoke_catalog.js, check_list.js and e2e_addon_test.js:
+//   GET /admin/warm-split?uid=&lsid=          → classifyAndWriteSplit, synchronously; returns its result
+//   GET /admin/show-cache?uid=&lsid=&type=    → count + sample of a split cache (type: movies|series)
+//   GET /admin/upstream                       → per-host upstream counters and circuit breaker state
+//   POST /admin/users/:uid/secret[?reset=1]   → issue a user's secret (users from before secrets
+//                                               existed have none); returns { uid, secret, editPath }
+//
+// Auth: ADMIN_TOKEN in the x-admin-token header or as Authorization: Bearer (never the query
+// string, which ends up in access logs and browser history).
+// When ADMIN_TOKEN is unset, only loopback requests are allowed.
+
+import express from 'express';
+import { timingSafeEqual } from 'node:crypto';
+import { join } from 'node:path';
+import { classifyAndWriteSplit } from './classifier.mjs';
+import { isSourceId } from './listSources.js';
+import { upstreamStats } from './upstream.js';
+import { readDoc } from './store.js';
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN || '';
+  if (!expected) {
+    if (LOOPBACK.has(req.socket?.remoteAddress)) return next();
+    return res.status(403).json({ error: 'Admin routes are disabled: set ADMIN_TOKEN' });
+  }
+  const auth = String(req.headers.authorization || '');
+  const given = Buffer.from(String(req.headers['x-admin-token'] || (auth.startsWith('Bearer ') ? auth.slice(7) : '')));
+  const want = Buffer.from(expected);
+  if (given.length !== want.length || !timingSafeEqual(given, want)) return res.status(401).json({ error: 'Invalid admin token' });
+  next();
+}
+
+function readParams(req) {
+  const uid = String(req.query.uid || 'default');
+  const lsid = String(req.query.lsid || '').toLowerCase();
+  return { uid, lsid };
+}
+
+/**
+ * Mounts the /admin router.
+ * opts.cacheRoot: data/cache directory
+ * opts.fetchIds(lsid, uid): resolves { title, ids } for a list
+ * opts.getOverrides(uid, lsid): the list's manual type overrides (optional)
+ * opts.issueSecret(uid, { reset }): async, { uid, secret, editPath } or { status, error } (optional)
+ */
+export function mountAdminRoutes(app, { cacheRoot, fetchIds, getOverrides = () => ({}), issueSecret = null }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/warm-split', async (req, res) => {
+    const { uid, lsid } = readParams(req);
+    if (!isSourceId(lsid)) return res.status(400).json({ error: 'Provide ?lsid=lsXXXXXXXXX (or urXXXX-watchlist / urXXXX-ratings)' });
+    try {
+      const info = await fetchIds(lsid, uid);
+      const ids = (info && info.ids) || [];
+      if (!ids.length) return res.status(502).json({ ok: false, uid, lsid, error: 'No items scraped from IMDb' });
+      const startedAt = Date.now();
+      const result = await classifyAndWriteSplit({ uid, lsid, ids, cacheRoot, overrides: getOverrides(uid, lsid) });
+      res.json({ ok: true, uid, lsid, ms: Date.now() - startedAt, result });
+    } catch (e) {
+      console.error('warm-split error', e);
+      res.status(500).json({ ok: false, uid, lsid, error: e.message });
+    }
+  });
+
+  router.get('/show-cache', async (req, res) => {
+    const { uid, lsid } = readParams(req);
+    if (!isSourceId(lsid)) return res.status(400).json({ error: 'Provide ?lsid=lsXXXXXXXXX (or urXXXX-watchlist / urXXXX-ratings)' });
+    const type = String(req.query.type || 'movies').toLowerCase();
+    const bucket = (type === 'movie' || type === 'movies') ? 'movies' : (type === 'series' ? 'series' : null);
+    if (!bucket) return res.status(400).json({ error: 'type must be movies or series' });
+    const sampleSize = Math.max(0, Math.min(100, parseInt(req.query.limit || '10', 10) || 10));
+
+    const j = await readDoc(join(cacheRoot, uid, `${lsid}-${bucket}.json`));
+    if (!j) return res.status(404).json({ uid, lsid, type: bucket, count: 0, sample: [], error: 'No cache for this list' });
+    const items = Array.isArray(j) ? j : (Array.isArray(j.metas) ? j.metas : []);
+    res.set('Cache-Control', 'no-store');
+    res.json({ uid, lsid, type: bucket, count: items.length, sample: items.slice(0, sampleSize) });
+  });
+
+  router.get('/upstream', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ hosts: upstreamStats() });
+  });
+
+  router.post('/users/:uid/secret', async (req, res) => {
+    if (!issueSecret) return res.status(404).json({ error: 'Not available' });
+    const reset = ['1', 'true'].includes(String(req.query.reset || '').toLowerCase());
+    try {
+      const out = await issueSecret(String(req.params.uid), { reset });
+      res.set('Cache-Control', 'no-store');
+      if (out.error) return res.status(out.status || 400).json({ error: out.error });
+      res.json(out);
+    } catch (e) {
+      console.error('issue-secret error', e);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.use('/admin', router);
+}
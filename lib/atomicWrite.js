@@ -0,0 +1,101 @@
+// lib/atomicWrite.js (ESM)
+// Crash-safe file writes: data goes to a temp file next to the target, is fsynced, then
+// renamed over it, so readers see the old or the new file and never half of one.
+//   - async writes to the same file are serialized by a per-file lock (in-process)
+//   - backup: true first copies the current file to <file>.bak (one rolling previous version)
+//   - readJsonOrBackup() fails loudly on a corrupt file instead of pretending it was empty
+
+import fs from 'fs';
+import { promises as fsp } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+const locks = new Map(); // absolute path -> tail of its write chain
+
+/** Run fn while holding the lock for file; calls for the same file run one at a time. */
+export function withFileLock(file, fn) {
+  const key = path.resolve(file);
+  const prev = locks.get(key) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+  return run;
+}
+
+const tmpName = (file) => `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+export const backupPath = (file) => `${file}.bak`;
+
+export function writeFileAtomic(file, data, { backup = false } = {}) {
+  return withFileLock(file, async () => {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tmp = tmpName(file);
+    try {
+      const fh = await fsp.open(tmp, 'w');
+      try {
+        await fh.writeFile(data, 'utf8');
+        await fh.sync();
+      } finally {
+        await fh.close();
+      }
+      if (backup) await fsp.copyFile(file, backupPath(file)).catch(e => { if (e.code !== 'ENOENT') throw e; });
+      await fsp.rename(tmp, file);
+    } catch (e) {
+      await fsp.rm(tmp, { force: true });
+      throw e;
+    }
+  });
+}
+
+export function writeJsonAtomic(file, obj, opts = {}) {
+  return writeFileAtomic(file, JSON.stringify(obj, null, opts.pretty === false ? 0 : 2), opts);
+}
+
+/** Synchronous variant for callers that save inline (users.json); nothing interleaves within it. */
+export function writeFileAtomicSync(file, data, { backup = false } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = tmpName(file);
+  try {
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeFileSync(fd, data, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (backup && fs.existsSync(file)) fs.copyFileSync(file, backupPath(file));
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Parse a JSON file that must not be silently lost. Missing file → fallback. A corrupt file
+ * is moved aside (<file>.corrupt-<time>) and its .bak is used instead, with a loud log;
+ * when there's no usable backup either, this throws.
+ */
+export function readJsonOrBackup(file, fallback) {
+  let raw;
+  try { raw = fs.readFileSync(file, 'utf8'); }
+  catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (parseErr) {
+    const aside = `${file}.corrupt-${Date.now()}`;
+    fs.renameSync(file, aside);
+    console.error(`❌ ${file} is not valid JSON (${parseErr.message}); moved it to ${aside}`);
+    let restored;
+    try { restored = JSON.parse(fs.readFileSync(backupPath(file), 'utf8')); }
+    catch (e) {
+      throw new Error(`${file} is corrupt and no usable backup exists (${backupPath(file)}): restore it by hand from ${aside}`);
+    }
+    console.error(`⚠️  Restored ${file} from ${backupPath(file)}; changes since that backup are lost`);
+    writeFileAtomicSync(file, JSON.stringify(restored, null, 2));
+    return restored;
+  }
+}
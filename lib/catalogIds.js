@@ -0,0 +1,90 @@
+// lib/catalogIds.js (ESM)
+// Catalog ids, in one place: the manifest encodes them, the catalog route and the visibility
+// gate decode them.
+//
+// Version 3: imdb3.<uid>.<kind>.<source id>.<type>.<options hash>
+//   uid, source id  escaped: anything but [A-Za-z0-9_-] becomes ~hh per UTF-8 byte, so any uid
+//                   (dots, dashes, spaces, non-ASCII) survives and ids stay URL-path safe
+//   kind            list | watchlist | ratings | csv (lib/listSources.js), or all for the merged catalog
+//   type            movie | series
+//   options hash    short hash of what shapes the catalog's content (default sort/order); it
+//                   only changes the id so Stremio drops its cached pages, decoding ignores it
+// Older ids (imdb-<uid>-<source id>-<movies|series>[-v2]) still decode, so existing installs
+// keep working. Decoded uids name cache directories, so ids whose uid could leave one (/, \,
+// NUL, "." or "..") don't decode.
+
+import { createHash } from 'crypto';
+import { SOURCE_ID_PATTERN, isSourceId, sourceKind } from './listSources.js';
+
+export const CATALOG_ID_VERSION = 3;
+export const ALL_SOURCE_ID = 'ALL';
+const PREFIX = `imdb${CATALOG_ID_VERSION}.`;
+const TYPES = new Set(['movie', 'series']);
+const LEGACY_RE = new RegExp(`^imdb-(.+?)-(ALL|${SOURCE_ID_PATTERN})-(movies|series)(?:-v\\d+)?$`, 'i');
+
+export function escapePart(s) {
+  return Array.from(Buffer.from(String(s), 'utf8'), b => {
+    const c = String.fromCharCode(b);
+    return /[A-Za-z0-9_-]/.test(c) ? c : `~${b.toString(16).padStart(2, '0')}`;
+  }).join('');
+}
+
+export function unescapePart(s) {
+  if (!/^(?:[A-Za-z0-9_-]|~[0-9a-fA-F]{2})*$/.test(s)) return null;
+  const bytes = [];
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '~') { bytes.push(parseInt(s.slice(i + 1, i + 3), 16)); i += 2; }
+    else bytes.push(s.charCodeAt(i));
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function isPathSafeUid(uid) {
+  return Boolean(uid) && !/[\/\\\0]/.test(uid) && uid !== '.' && uid !== '..';
+}
+
+function optionsHash(options = {}) {
+  const keys = Object.keys(options).filter(k => options[k] != null && options[k] !== '').sort();
+  const canon = JSON.stringify(keys.map(k => [k, options[k]]));
+  return createHash('sha1').update(canon).digest('hex').slice(0, 6);
+}
+
+/** opts: { uid, sourceId (or ALL_SOURCE_ID), type: 'movie'|'series', options? } */
+export function encodeCatalogId({ uid, sourceId, type, options }) {
+  if (!TYPES.has(type)) throw new Error(`Unknown catalog type: ${type}`);
+  const all = sourceId === ALL_SOURCE_ID;
+  if (!all && !isSourceId(sourceId)) throw new Error(`Not a list id: ${sourceId}`);
+  const kind = all ? 'all' : sourceKind(sourceId);
+  return `${PREFIX}${escapePart(uid)}.${kind}.${escapePart(all ? ALL_SOURCE_ID : String(sourceId).toLowerCase())}.${type}.${optionsHash(options)}`;
+}
+
+/**
+ * { uid, sourceId, kind, type, all, version } for a catalog id of any version, or null when
+ * it isn't one of ours. sourceId is ALL_SOURCE_ID for the merged catalog.
+ */
+export function decodeCatalogId(id) {
+  const s = String(id || '');
+  if (s.startsWith(PREFIX)) {
+    const parts = s.slice(PREFIX.length).split('.');
+    if (parts.length !== 5) return null;
+    const [uidPart, kind, srcPart, type, hash] = parts;
+    const uid = unescapePart(uidPart);
+    const sourceId = unescapePart(srcPart);
+    if (!isPathSafeUid(uid) || !sourceId || !TYPES.has(type) || !/^[0-9a-f]{6}$/.test(hash)) return null;
+    const all = kind === 'all';
+    if (all ? sourceId !== ALL_SOURCE_ID : !isSourceId(sourceId) || sourceKind(sourceId) !== kind) return null;
+    return { uid, sourceId, kind, type, all, version: CATALOG_ID_VERSION };
+  }
+  const m = LEGACY_RE.exec(s);
+  if (!m || !isPathSafeUid(m[1])) return null;
+  const all = m[2].toUpperCase() === ALL_SOURCE_ID;
+  const sourceId = all ? ALL_SOURCE_ID : m[2].toLowerCase();
+  return {
+    uid: m[1],
+    sourceId,
+    kind: all ? 'all' : sourceKind(sourceId),
+    type: m[3].toLowerCase() === 'movies' ? 'movie' : 'series',
+    all,
+    version: 2
+  };
+}
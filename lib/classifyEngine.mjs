@@ -0,0 +1,188 @@
+// lib/classifyEngine.mjs
+// The one movie/series decision used by the warmer (prefetch.js), classifyAndWriteSplit
+// (classifier.mjs, /admin/warm-split), scripts/classify_and_split.mjs,
+// scripts/phase1_classify_and_split.mjs and the real-time catalog fallback in server.js.
+//
+// classifyTitle(tt, ctx) runs an ordered chain of resolvers; the first to return a
+// decision wins. A decision is:
+//   { type: 'movie' | 'series' | 'exclude', confidence: 0..1, reason, meta, parent? }
+// meta is the Cinemeta meta to list (the parent series' meta when an episode was up-mapped,
+// parent then holds that series id); exclude decisions carry meta: null.
+//
+// Default chain (RESOLVERS):
+//   override – manual per-list override (ctx.override, see lib/exclusions.js)
+//   dataset  – offline IMDb dataset index (lib/imdbDataset.js), no network
+//   label    – titleType label from the list page / CSV export (ctx.titleLabel / ctx.titleType)
+//   cinemeta – Cinemeta for both types; one hit wins, both → series-shaped meta wins
+//   episode  – IMDb title page: episode → parent series
+//   imdbPage – IMDb title page: titleType
+// Opt-in (ctx.resolvers):
+//   evidence – resolveType (lib/imdbTypeClassifier.mjs): a weighted vote over dataset, label,
+//              Cinemeta and, when those are silent or split, the title page's type
+// Callers pick a subset with ctx.resolvers (names or resolver functions); a resolver is
+// (tt, ctx, probe) => decision | null, where probe.meta(type) is a memoized Cinemeta lookup.
+//
+// Cinemeta lookups go through the shared meta store (lib/metaStore.js), so a title fetched
+// for one list is not fetched again for the next.
+//
+// Env flags:
+//   CINEMETA_BASE
+//   INCLUDE_MUSIC_VIDEO ("true" to list music videos as movies, default false; bucketFor in
+//                       lib/imdbTypeClassifier.mjs)
+
+import { bucketFor, titleTypeFromLabel, resolveType } from './imdbTypeClassifier.mjs';
+import { lookupTitle } from './imdbDataset.js';
+import { resolveParentSeriesFromImdb, resolveTitleTypeFromImdb } from './imdbTitlePage.mjs';
+import { storedMeta } from './metaStore.js';
+import { fetchUpstream } from './upstream.js';
+
+const CINEMETA = process.env.CINEMETA_BASE || 'https://v3-cinemeta.strem.io';
+
+// null when Cinemeta has no such meta; throws when it couldn't be asked (nothing gets stored)
+async function fetchCinemeta(type, tt) {
+  const r = await fetchUpstream(`${CINEMETA}/meta/${type}/${tt}.json`, { headers: { accept: 'application/json' } });
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`Cinemeta ${r.status}`);
+  const j = JSON.parse(r.text);
+  return j && j.meta && j.meta.id ? j.meta : null;
+}
+
+/** Trimmed Cinemeta meta for a type, from the meta store when fresh; null when unknown/unreachable. */
+export function cinemetaMeta(type, tt) {
+  return storedMeta(type, tt, fetchCinemeta);
+}
+
+export function looksLikeSeries(meta) {
+  if (!meta) return false;
+  if (String(meta?.type || '').toLowerCase() === 'series') return true;
+  if (Array.isArray(meta?.videos) && meta.videos.some(v => String(v?.type || '').toLowerCase() === 'series' || String(v?.season || ''))) return true;
+  if (Number(meta?.totalSeasons || 0) > 0) return true;
+  return false;
+}
+
+const isEpisodeType = (t) => /episode/i.test(String(t || ''));
+
+// A known IMDb titleType → decision (meta from Cinemeta), or null to let later resolvers try
+async function fromTitleType(titleType, tt, probe, source, confidence) {
+  const bucket = bucketFor(titleType);
+  if (bucket) {
+    const meta = await probe.meta(bucket, tt);
+    return meta ? { type: bucket, confidence, reason: `${source}:${titleType}`, meta } : null;
+  }
+  if (titleType && !isEpisodeType(titleType)) {
+    // video games, podcasts, music videos (unless INCLUDE_MUSIC_VIDEO)
+    return { type: 'exclude', confidence, reason: `${source}:${titleType}`, meta: null };
+  }
+  return null;
+}
+
+async function fromParent(parent, tt, probe, reason, confidence) {
+  if (!parent || parent === tt) return null;
+  const meta = await probe.meta('series', parent);
+  return meta ? { type: 'series', confidence, reason, meta, parent } : null;
+}
+
+export const RESOLVERS = {
+  async override(tt, ctx, probe) {
+    const o = ctx.override;
+    if (!o) return null;
+    const reason = `override:${o.action}`;
+    if (o.action === 'hide') return { type: 'exclude', confidence: 1, reason, meta: null };
+    if (o.action === 'map') {
+      return await fromParent(o.series, tt, probe, reason, 1)
+        || { type: 'series', confidence: 1, reason, meta: { id: o.series, type: 'series', name: o.series }, parent: o.series };
+    }
+    if (o.action !== 'movie' && o.action !== 'series') return null;
+    // Forced type: prefer Cinemeta's meta for that type, else re-type whatever it has
+    const other = o.action === 'movie' ? 'series' : 'movie';
+    const meta = await probe.meta(o.action, tt) || await probe.meta(other, tt) || { id: tt, name: tt };
+    return { type: o.action, confidence: 1, reason, meta: { ...meta, type: o.action } };
+  },
+
+  async dataset(tt, ctx, probe) {
+    const ds = await lookupTitle(tt);
+    if (!ds) return null;
+    return await fromParent(ds.parent, tt, probe, 'dataset:episode', 0.95)
+      || await fromTitleType(ds.titleType, tt, probe, 'dataset', 0.95);
+  },
+
+  async label(tt, ctx, probe) {
+    const titleType = titleTypeFromLabel(ctx.titleLabel) || titleTypeFromLabel(ctx.titleType);
+    if (!titleType) return null;
+    return fromTitleType(titleType, tt, probe, 'label', 0.9);
+  },
+
+  async cinemeta(tt, ctx, probe) {
+    const [mm, sm] = await Promise.all([probe.meta('movie', tt), probe.meta('series', tt)]);
+    if (mm && !sm) return { type: 'movie', confidence: 0.8, reason: 'cinemeta:movie-only', meta: mm };
+    if (sm && !mm) return { type: 'series', confidence: 0.8, reason: 'cinemeta:series-only', meta: sm };
+    if (!mm && !sm) return null;
+    if (looksLikeSeries(sm)) return { type: 'series', confidence: 0.6, reason: 'cinemeta:both-series-shaped', meta: sm };
+    if (String(mm.type || '').toLowerCase() === 'movie') return { type: 'movie', confidence: 0.6, reason: 'cinemeta:both-movie-typed', meta: mm };
+    return { type: 'series', confidence: 0.5, reason: 'cinemeta:both-prefer-series', meta: sm };
+  },
+
+  async episode(tt, ctx, probe) {
+    const parent = await resolveParentSeriesFromImdb(tt);
+    return fromParent(parent, tt, probe, 'imdb-page:episode', 0.7);
+  },
+
+  async imdbPage(tt, ctx, probe) {
+    const titleType = await resolveTitleTypeFromImdb(tt);
+    if (!titleType) return null;
+    if (isEpisodeType(titleType)) {
+      const parent = await resolveParentSeriesFromImdb(tt);
+      return await fromParent(parent, tt, probe, 'imdb-page:episode', 0.7)
+        || { type: 'exclude', confidence: 0.5, reason: 'imdb-page:episode-no-parent', meta: null };
+    }
+    return await fromTitleType(titleType, tt, probe, 'imdb-page', 0.7)
+      || { type: 'exclude', confidence: 0.3, reason: `imdb-page:${titleType}-no-cinemeta`, meta: null };
+  },
+
+  async evidence(tt, ctx, probe) {
+    const ds = await lookupTitle(tt);
+    const [movie, series] = await Promise.all([probe.meta('movie', tt), probe.meta('series', tt)]);
+    const signals = { datasetType: ds?.titleType, parent: ds?.parent, label: ctx.titleLabel || ctx.titleType, cinemeta: { movie, series } };
+    if (!ds && Boolean(movie) === Boolean(series)) signals.jsonLdType = await resolveTitleTypeFromImdb(tt);
+    if (!signals.parent && isEpisodeType(signals.datasetType || signals.jsonLdType)) {
+      signals.parent = await resolveParentSeriesFromImdb(tt);
+    }
+    const r = resolveType(tt, signals);
+    if (!r.signals.length) return null;
+    const reason = `evidence:${r.signals.map(s => `${s.signal}=${s.value}`).join(',')}`;
+    if (r.type === 'exclude') return { type: 'exclude', confidence: r.confidence, reason, meta: null };
+    const meta = r.parent ? await probe.meta('series', r.parent) : (r.type === 'movie' ? movie : series);
+    if (!meta) return null;
+    return r.parent ? { type: r.type, confidence: r.confidence, reason, meta, parent: r.parent } : { type: r.type, confidence: r.confidence, reason, meta };
+  }
+};
+
+export const DEFAULT_CHAIN = ['override', 'dataset', 'label', 'cinemeta', 'episode', 'imdbPage'];
+
+/**
+ * Classify one title.
+ * ctx: { titleLabel?, titleType?, override?, resolvers? (names/functions, default DEFAULT_CHAIN),
+ *        getMeta?(type, tt) (Cinemeta lookup to use, e.g. the server's cached one) }
+ * Never throws; a resolver that throws is skipped.
+ */
+export async function classifyTitle(tt, ctx = {}) {
+  const getMeta = typeof ctx.getMeta === 'function' ? ctx.getMeta : cinemetaMeta;
+  const seen = new Map();
+  const probe = {
+    meta(type, id) {
+      const key = `${type}:${id}`;
+      if (!seen.has(key)) seen.set(key, Promise.resolve(getMeta(type, id)).catch(() => null));
+      return seen.get(key);
+    }
+  };
+
+  for (const r of ctx.resolvers || DEFAULT_CHAIN) {
+    const resolver = typeof r === 'function' ? r : RESOLVERS[r];
+    if (!resolver) continue;
+    try {
+      const d = await resolver(tt, ctx, probe);
+      if (d && d.type) return d;
+    } catch {}
+  }
+  return { type: 'exclude', confidence: 0, reason: 'unresolved', meta: null };
+}
@@ -0,0 +1,89 @@
+// lib/episodeMap.js (ESM)
+// Episodes on a list are listed as their parent series (see classifyEngine). The episode map
+// remembers which episodes put each series there, so catalogs and the meta route can say so.
+//
+// data/cache/<uid>/<lsid>-episode-map.json:
+//   { updatedAt, mappedEpisodes: [{ episode: 'tt…', series: 'tt…', season, number, title }] }
+// season/number/title are null when neither the dataset index nor Cinemeta's videos know them.
+
+import path from 'path';
+import { lookupTitle } from './imdbDataset.js';
+import { readDoc, writeDoc } from './store.js';
+
+const HIGHLIGHT_MARK = '★';
+
+function mapPath(cacheDir, lsid) {
+  return path.join(cacheDir, `${lsid}-episode-map.json`);
+}
+
+/** Map entry for an up-mapped episode; seriesMeta (with videos) fills in what the dataset lacks. */
+export async function episodeEntry(tt, series, seriesMeta) {
+  const ds = await lookupTitle(tt);
+  let season = ds && ds.season != null ? Number(ds.season) : null;
+  let number = ds && ds.episode != null ? Number(ds.episode) : null;
+  const videos = Array.isArray(seriesMeta && seriesMeta.videos) ? seriesMeta.videos : [];
+  let video = videos.find(v => v && (v.imdb_id === tt || v.imdbId === tt));
+  if (video && season == null) { season = Number(video.season); number = Number(video.episode ?? video.number); }
+  if (!video && season != null) video = videos.find(v => Number(v.season) === season && Number(v.episode ?? v.number) === number);
+  return { episode: tt, series, season, number, title: (video && (video.name || video.title)) || null };
+}
+
+export async function writeEpisodeMap(cacheDir, lsid, mappedEpisodes) {
+  await writeDoc(mapPath(cacheDir, lsid), { mappedEpisodes, updatedAt: new Date().toISOString() }, { pretty: false });
+}
+
+/** Entries grouped by series tt: Map<series, entry[]> (empty when there's no map). */
+export async function readEpisodeMap(cacheDir, lsid) {
+  const bySeries = new Map();
+  const doc = await readDoc(mapPath(cacheDir, lsid));
+  const entries = (doc && Array.isArray(doc.mappedEpisodes)) ? doc.mappedEpisodes : [];
+  for (const e of entries) {
+    if (!e || !e.series) continue;
+    if (!bySeries.has(e.series)) bySeries.set(e.series, []);
+    bySeries.get(e.series).push(e);
+  }
+  return bySeries;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function episodeLabel(e) {
+  const code = e.season != null && e.number != null ? `S${pad(e.season)}E${pad(e.number)}` : e.episode;
+  return e.title ? `${code} "${e.title}"` : code;
+}
+
+/** Catalog meta with the list's episodes named ahead of the synopsis. */
+export function highlightCatalogMeta(meta, entries) {
+  if (!entries || !entries.length) return meta;
+  const prefix = `${HIGHLIGHT_MARK} On this list: ${entries.map(episodeLabel).join(', ')}`;
+  return {
+    ...meta,
+    listEpisodes: entries,
+    description: [prefix, meta.description].filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Series meta with the list's episodes marked in `videos`: title prefixed with ★, overview
+ * with a note, and moved to the front (Stremio keeps season grouping; the list order wins
+ * within the flat list some clients show).
+ */
+export function highlightVideos(meta, entries) {
+  if (!entries || !entries.length || !Array.isArray(meta.videos)) return meta;
+  const isListed = (v) => entries.some(e =>
+    (v.imdb_id && v.imdb_id === e.episode) ||
+    (e.season != null && Number(v.season) === e.season && Number(v.episode ?? v.number) === e.number));
+  const marked = [];
+  const rest = [];
+  for (const v of meta.videos) {
+    if (!v || !isListed(v)) { rest.push(v); continue; }
+    const title = v.name || v.title || '';
+    marked.push({
+      ...v,
+      name: `${HIGHLIGHT_MARK} ${title}`.trim(),
+      title: `${HIGHLIGHT_MARK} ${title}`.trim(),
+      overview: ['On this list.', v.overview || v.description].filter(Boolean).join(' ')
+    });
+  }
+  return { ...meta, videos: [...marked, ...rest] };
+}
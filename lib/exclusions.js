@@ -0,0 +1,57 @@
+// lib/exclusions.js (ESM)
+// Per-list exclusion report and manual type overrides.
+//
+// Report: data/cache/<uid>/<lsid>-excluded.json, rewritten on every warm/split:
+//   { updatedAt, items: [{ tt, status: 'excluded' | 'ambiguous', type, reason, confidence, titleLabel?, mapped? }] }
+// excluded  = dropped from both catalogs; ambiguous = kept, but decided with confidence below
+// AMBIGUOUS_CONFIDENCE (default 0.65).
+//
+// Overrides live on the user's list entry (data/users/<uid>.json) so they survive re-warming:
+//   list.overrides = { tt123: { action: 'movie' | 'series' | 'hide' } | { action: 'map', series: 'tt456' } }
+// The classification engine applies them before any other resolver.
+
+import path from 'path';
+import { readDoc, writeDoc } from './store.js';
+
+export const AMBIGUOUS_CONFIDENCE = Number(process.env.AMBIGUOUS_CONFIDENCE || 0.65);
+const OVERRIDE_ACTIONS = new Set(['movie', 'series', 'map', 'hide']);
+
+/** Report entry for a decision worth showing, or null for confident keeps. */
+export function reportEntry(tt, decision, extra = {}) {
+  const d = decision || {};
+  const kept = d.type === 'movie' || d.type === 'series';
+  if (kept && d.meta && !(d.confidence < AMBIGUOUS_CONFIDENCE)) return null;
+  const entry = {
+    tt,
+    status: kept && d.meta ? 'ambiguous' : 'excluded',
+    type: d.type || null,
+    reason: d.reason || 'unknown',
+    confidence: typeof d.confidence === 'number' ? d.confidence : null,
+    ...extra
+  };
+  if (d.parent) entry.mapped = d.parent;
+  return entry;
+}
+
+function reportPath(cacheDir, lsid) {
+  return path.join(cacheDir, `${lsid}-excluded.json`);
+}
+
+export async function writeExclusionReport(cacheDir, lsid, items) {
+  await writeDoc(reportPath(cacheDir, lsid), { updatedAt: new Date().toISOString(), items });
+}
+
+export async function readExclusionReport(cacheDir, lsid) {
+  const report = await readDoc(reportPath(cacheDir, lsid));
+  return report && Array.isArray(report.items) ? report : { updatedAt: null, items: [] };
+}
+
+/** Normalize an override from the API; null when invalid. */
+export function sanitizeOverride(o) {
+  if (!o || typeof o !== 'object') return null;
+  const action = String(o.action || '').toLowerCase();
+  if (!OVERRIDE_ACTIONS.has(action)) return null;
+  if (action !== 'map') return { action };
+  const series = String(o.series || '').toLowerCase().match(/tt\d+/);
+  return series ? { action, series: series[0] } : null;
+}
@@ -0,0 +1,85 @@
+// lib/facets.js (ESM)
+// Per-list facet summaries, computed by every complete warm from the catalog caches it writes,
+// so the manifest can offer genre options without reading whole cache files. Partial caches get
+// none: their facets would describe only the titles classified so far.
+//
+// data/cache/<uid>/<lsid>-facets.json:
+//   { updatedAt, movie: Facet, series: Facet }
+//   Facet = { count, genres: { Drama: 12, … }, years: { min, max } | null, ratings: { min, max } | null }
+//
+// Env flags:
+//   GENRE_ORDER      alpha (default) or count: genre options by name, or most common first
+//   GENRE_MIN_COUNT  (default 1) genres on fewer titles than this aren't offered
+
+import path from 'path';
+import { readDoc, writeDoc } from './store.js';
+
+const GENRE_ORDER = String(process.env.GENRE_ORDER || 'alpha').toLowerCase() === 'count' ? 'count' : 'alpha';
+const GENRE_MIN_COUNT = Math.max(1, Number(process.env.GENRE_MIN_COUNT || 1) || 1);
+
+function facetsPath(cacheDir, lsid) {
+  return path.join(cacheDir, `${lsid}-facets.json`);
+}
+
+function widen(range, v) {
+  if (!Number.isFinite(v)) return range;
+  if (!range) return { min: v, max: v };
+  return { min: Math.min(range.min, v), max: Math.max(range.max, v) };
+}
+
+/** Facet for one catalog's items. */
+export function computeFacet(items) {
+  const facet = { count: 0, genres: {}, years: null, ratings: null };
+  for (const item of (Array.isArray(items) ? items : [])) {
+    if (!item) continue;
+    facet.count++;
+    const genres = Array.isArray(item.genres) ? item.genres : (item.genre ? [item.genre] : []);
+    for (const g of new Set(genres.map(x => String(x || '').trim()).filter(Boolean))) {
+      facet.genres[g] = (facet.genres[g] || 0) + 1;
+    }
+    // Series years can be ranges ("2011–2019")
+    for (const y of String(item.year || item.releaseInfo || '').match(/\d{4}/g) || []) facet.years = widen(facet.years, Number(y));
+    facet.ratings = widen(facet.ratings, parseFloat((item.rating && item.rating.imdb) || item.imdbRating));
+  }
+  return facet;
+}
+
+export function computeFacets({ movies, series }) {
+  return { movie: computeFacet(movies), series: computeFacet(series) };
+}
+
+/**
+ * One facet for several lists (the merged "All lists" catalogs). Titles on more than one
+ * list count once per list, so genre counts are an upper bound.
+ */
+export function mergeFacets(facets) {
+  const out = { count: 0, genres: {}, years: null, ratings: null };
+  for (const f of facets) {
+    if (!f) continue;
+    out.count += f.count || 0;
+    for (const [g, n] of Object.entries(f.genres || {})) out.genres[g] = (out.genres[g] || 0) + n;
+    for (const k of ['years', 'ratings']) {
+      if (f[k]) out[k] = widen(widen(out[k], f[k].min), f[k].max);
+    }
+  }
+  return out;
+}
+
+export async function writeFacets(cacheDir, lsid, facets) {
+  await writeDoc(facetsPath(cacheDir, lsid), { ...facets, updatedAt: new Date().toISOString() }, { pretty: false });
+}
+
+/** { movie, series } facets from the list's last warm, or null when it wrote none. */
+export async function readFacets(cacheDir, lsid) {
+  const doc = await readDoc(facetsPath(cacheDir, lsid));
+  return doc && doc.movie && doc.series ? doc : null;
+}
+
+/** Genre names for a facet's manifest options, ordered per GENRE_ORDER, rare ones dropped. */
+export function genreOptions(facet, { order = GENRE_ORDER, minCount = GENRE_MIN_COUNT } = {}) {
+  const entries = Object.entries((facet && facet.genres) || {}).filter(([, n]) => n >= minCount);
+  entries.sort(order === 'count'
+    ? (a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0])
+    : (a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return entries.map(([g]) => g);
+}
@@ -0,0 +1,82 @@
+// lib/imdbCsv.js (ESM)
+// CSV parsing for IMDb list / watchlist / ratings exports.
+// Export columns (case-insensitive): Position, Const, Created, Modified, Description, Title,
+// URL, Title Type, IMDb Rating, Runtime (mins), Year, Genres, Num Votes, Release Date,
+// Directors, Your Rating, Date Rated
+
+/** RFC 4180-ish parser: quoted fields, escaped quotes (""), CRLF/LF line endings. */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"') {
+        if (s[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else field += c;
+      continue;
+    }
+    if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function toIsoDate(v) {
+  if (!v) return null;
+  const ts = Date.parse(v);
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+}
+
+/**
+ * Parse an IMDb export into list items (in file order).
+ * Returns { items: [{ tt, position, addedAt, titleLabel, note?, userRating? }], columns } — items
+ * without a valid Const are skipped. Throws if the header has no Const column.
+ * Ratings exports have no Created column; Date Rated stands in for the added date.
+ */
+export function parseImdbExportCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { items: [], columns: [] };
+  const columns = rows[0].map(h => h.trim());
+  const col = {};
+  columns.forEach((h, i) => { col[h.toLowerCase()] = i; });
+  if (col['const'] === undefined) throw new Error('Not an IMDb export: missing "Const" column');
+
+  const get = (r, name) => {
+    const i = col[name];
+    return i === undefined ? '' : String(r[i] ?? '').trim();
+  };
+
+  const items = [];
+  const seen = new Set();
+  for (const r of rows.slice(1)) {
+    const tt = get(r, 'const').toLowerCase();
+    if (!/^tt\d+$/.test(tt) || seen.has(tt)) continue;
+    seen.add(tt);
+    const position = parseInt(get(r, 'position'), 10);
+    const rating = parseFloat(get(r, 'your rating'));
+    const item = {
+      tt,
+      position: Number.isFinite(position) ? position : items.length + 1,
+      addedAt: toIsoDate(get(r, 'created') || get(r, 'date rated')),
+      titleLabel: get(r, 'title type') || null
+    };
+    const note = get(r, 'description');
+    if (note) item.note = note;
+    if (Number.isFinite(rating)) item.userRating = rating;
+    items.push(item);
+  }
+  return { items, columns };
+}
@@ -0,0 +1,192 @@
+// lib/imdbDataset.js (ESM, Node 18+)
+// Offline title lookups from IMDb's public dataset dumps (https://datasets.imdbws.com/):
+//   title.basics.tsv.gz   – tconst → titleType
+//   title.episode.tsv.gz  – episode tconst → parentTconst, seasonNumber, episodeNumber
+//
+// buildDatasetIndex() streams both files into a compact on-disk index (IMDB_DATASET_DIR,
+// default data/imdb-dataset): 256 JSON shards keyed by the tt number, plus index.json.
+// Shard entries are [titleType, parent?, season?, episode?]. lookupTitle() reads one shard
+// lazily and keeps a few in memory. Without an index every lookup is simply null.
+//
+// Build it with: node scripts/import_imdb_datasets.mjs <dir with the .tsv.gz files>
+
+import fs from 'fs';
+import { promises as fsp } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+
+const DATASET_DIR = process.env.IMDB_DATASET_DIR || path.join(process.cwd(), 'data', 'imdb-dataset');
+const SHARDS = 256;
+const SHARD_CACHE_MAX = Number(process.env.IMDB_DATASET_CACHE_SHARDS || 8);
+const INDEX_RECHECK_MS = 60 * 1000;
+
+function shardOf(tt) {
+  const n = parseInt(String(tt).slice(2), 10);
+  return (Number.isFinite(n) ? n % SHARDS : 0).toString(16).padStart(2, '0');
+}
+
+const shardFile = (dir, shard) => path.join(dir, `tt-${shard}.json`);
+const nullable = (v) => (v === undefined || v === '' || v === '\\N') ? null : v;
+
+function openTsv(file) {
+  let input = fs.createReadStream(file);
+  if (/\.gz$/i.test(file)) input = input.pipe(zlib.createGunzip());
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+// Per-shard line buffers, appended to <shard>.tmp files as they fill up
+function shardWriter(dir) {
+  const bufs = new Map();
+  async function flush(shard) {
+    const lines = bufs.get(shard);
+    if (!lines || !lines.length) return;
+    bufs.set(shard, []);
+    await fsp.appendFile(path.join(dir, `${shard}.tmp`), lines.join('\n') + '\n', 'utf8');
+  }
+  return {
+    async add(tt, line) {
+      const shard = shardOf(tt);
+      if (!bufs.has(shard)) bufs.set(shard, []);
+      const lines = bufs.get(shard);
+      lines.push(line);
+      if (lines.length >= 2000) await flush(shard);
+    },
+    async flushAll() {
+      for (const shard of bufs.keys()) await flush(shard);
+    }
+  };
+}
+
+async function streamRows(file, label, onRow, onProgress) {
+  const rl = openTsv(file);
+  let col = null; // column name -> index, from the header row
+  let rows = 0;
+  for await (const line of rl) {
+    if (!col) { col = Object.fromEntries(line.split('\t').map((h, i) => [h, i])); continue; }
+    if (!line) continue;
+    await onRow(line.split('\t'), col);
+    if (++rows % 500000 === 0) onProgress({ file: label, rows });
+  }
+  onProgress({ file: label, rows, done: true });
+  return rows;
+}
+
+/**
+ * Build the index from local dataset files (.tsv or .tsv.gz).
+ * opts: { basicsPath, episodePath?, outDir?, onProgress({ file, rows, done? }) }
+ * The new index is built next to outDir and swapped in at the end, so a running
+ * server never reads a half-written index. Returns the written index.json.
+ */
+export async function buildDatasetIndex({ basicsPath, episodePath, outDir = DATASET_DIR, onProgress = () => {} } = {}) {
+  if (!basicsPath) throw new Error('basicsPath is required (title.basics.tsv.gz)');
+  const work = `${outDir}.building`;
+  await fsp.rm(work, { recursive: true, force: true });
+  await fsp.mkdir(work, { recursive: true });
+
+  const writer = shardWriter(work);
+  const counts = { titles: 0, episodes: 0 };
+
+  counts.titles = await streamRows(basicsPath, 'title.basics', async (cols, col) => {
+    const tt = cols[col.tconst];
+    const type = nullable(cols[col.titleType]);
+    if (/^tt\d+$/.test(tt || '') && type) await writer.add(tt, `${tt}\tT\t${type}`);
+  }, onProgress);
+
+  if (episodePath) {
+    counts.episodes = await streamRows(episodePath, 'title.episode', async (cols, col) => {
+      const tt = cols[col.tconst];
+      const parent = nullable(cols[col.parentTconst]);
+      if (!/^tt\d+$/.test(tt || '') || !parent) return;
+      const season = nullable(cols[col.seasonNumber]) || '';
+      const episode = nullable(cols[col.episodeNumber]) || '';
+      await writer.add(tt, `${tt}\tE\t${parent}\t${season}\t${episode}`);
+    }, onProgress);
+  }
+  await writer.flushAll();
+
+  // Compact each shard's line log into its JSON map
+  for (let i = 0; i < SHARDS; i++) {
+    const shard = i.toString(16).padStart(2, '0');
+    const tmp = path.join(work, `${shard}.tmp`);
+    const map = {};
+    let raw = '';
+    try { raw = await fsp.readFile(tmp, 'utf8'); } catch {}
+    for (const line of raw.split('\n')) {
+      if (!line) continue;
+      const [tt, kind, a, b, c] = line.split('\t');
+      const entry = map[tt] || (map[tt] = [null]);
+      if (kind === 'T') entry[0] = a;
+      else {
+        entry[1] = a;
+        entry[2] = b ? Number(b) : null;
+        entry[3] = c ? Number(c) : null;
+      }
+    }
+    await fsp.writeFile(shardFile(work, shard), JSON.stringify(map), 'utf8');
+    await fsp.rm(tmp, { force: true });
+  }
+
+  const index = {
+    builtAt: new Date().toISOString(),
+    shards: SHARDS,
+    counts,
+    sources: { basics: path.basename(basicsPath), episode: episodePath ? path.basename(episodePath) : null }
+  };
+  await fsp.writeFile(path.join(work, 'index.json'), JSON.stringify(index, null, 2), 'utf8');
+
+  await fsp.rm(outDir, { recursive: true, force: true });
+  await fsp.rename(work, outDir);
+  resetDatasetCache();
+  return index;
+}
+
+// ---- Lookups ----
+const shardCache = new Map(); // shard -> map (insertion order = LRU)
+let indexState = { checkedAt: 0, present: false };
+
+function resetDatasetCache() {
+  shardCache.clear();
+  indexState = { checkedAt: 0, present: false };
+}
+
+/** True when an index has been built (re-checked at most once a minute). */
+export function datasetAvailable() {
+  if (Date.now() - indexState.checkedAt > INDEX_RECHECK_MS) {
+    const present = fs.existsSync(path.join(DATASET_DIR, 'index.json'));
+    if (present !== indexState.present) shardCache.clear();
+    indexState = { checkedAt: Date.now(), present };
+  }
+  return indexState.present;
+}
+
+async function loadShard(shard) {
+  if (shardCache.has(shard)) {
+    const map = shardCache.get(shard);
+    shardCache.delete(shard);
+    shardCache.set(shard, map);
+    return map;
+  }
+  let map = {};
+  try { map = JSON.parse(await fsp.readFile(shardFile(DATASET_DIR, shard), 'utf8')); } catch {}
+  shardCache.set(shard, map);
+  while (shardCache.size > SHARD_CACHE_MAX) shardCache.delete(shardCache.keys().next().value);
+  return map;
+}
+
+/**
+ * Dataset facts for a title: { titleType, parent, season, episode } or null when the
+ * index is missing or doesn't know the id. titleType is IMDb's id (movie, tvSeries, tvEpisode…).
+ */
+export async function lookupTitle(tt) {
+  const id = String(tt || '').toLowerCase();
+  if (!/^tt\d+$/.test(id) || !datasetAvailable()) return null;
+  const entry = (await loadShard(shardOf(id)))[id];
+  if (!entry) return null;
+  return {
+    titleType: entry[0] || null,
+    parent: entry[1] || null,
+    season: entry[2] ?? null,
+    episode: entry[3] ?? null
+  };
+}
@@ -0,0 +1,111 @@
+// lib/imdbNextData.js (ESM)
+// Parser for the JSON blob IMDb embeds in list pages (<script id="__NEXT_DATA__">).
+// It carries what the HTML regexes can't: each item's list position, date added,
+// title type label and the curator's note (and, on ratings pages, the user's own score),
+// plus list name/description and paging info.
+//
+// The payload layout shifts between IMDb releases, so items are located structurally:
+// the first `edges` array whose entries resolve to a title object with a tt id.
+
+const TT_RE = /^tt\d+$/;
+
+/** Raw __NEXT_DATA__ JSON, or null when the page doesn't embed it (or it doesn't parse). */
+export function extractNextData(html) {
+  const m = String(html || '').match(/<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i);
+  if (!m) return null;
+  try { return JSON.parse(m[1]); } catch { return null; }
+}
+
+const plain = (t) => {
+  if (!t) return null;
+  if (typeof t === 'string') return t;
+  return t.plainText || t.text || t.markdown || (t.originalText && plain(t.originalText)) || null;
+};
+
+function titleOf(edge) {
+  const cands = [edge?.listItem, edge?.node?.listItem, edge?.node?.item, edge?.node?.title, edge?.title, edge?.node];
+  return cands.find(c => c && typeof c.id === 'string' && TT_RE.test(c.id)) || null;
+}
+
+function findEdges(root) {
+  const stack = [root];
+  let guard = 0;
+  while (stack.length && guard++ < 200000) {
+    const cur = stack.pop();
+    if (!cur || typeof cur !== 'object') continue;
+    if (Array.isArray(cur.edges) && cur.edges.some(e => titleOf(e))) return cur;
+    for (const v of Object.values(cur)) if (v && typeof v === 'object') stack.push(v);
+  }
+  return null;
+}
+
+// The list object is the nearest ancestor-ish node holding name/description next to the items
+function findListMeta(root) {
+  const stack = [root];
+  let guard = 0;
+  while (stack.length && guard++ < 200000) {
+    const cur = stack.pop();
+    if (!cur || typeof cur !== 'object') continue;
+    if (cur.titleListItemSearch || (cur.name && cur.name.originalText && cur.listType)) return cur;
+    for (const v of Object.values(cur)) if (v && typeof v === 'object') stack.push(v);
+  }
+  return null;
+}
+
+// Ratings pages put the user's score on the edge/node or on the title itself
+function userRatingOf(edge, node, t) {
+  for (const c of [node?.userRating, edge?.userRating, t?.userRating, node?.rating, edge?.rating]) {
+    const v = Number(c && typeof c === 'object' ? c.value : c);
+    if (Number.isFinite(v) && v > 0) return v;
+  }
+  return null;
+}
+
+function toIsoDate(v) {
+  if (!v) return null;
+  const ts = typeof v === 'number' ? v : Date.parse(v);
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+}
+
+/**
+ * Parse list items from a page's __NEXT_DATA__.
+ * Returns null when the blob is absent or holds no list items; otherwise
+ * { title, description, total, hasNextPage,
+ *   items: [{ tt, position, addedAt, titleLabel, titleType, note, userRating? }] }
+ */
+export function parseNextDataList(html) {
+  const data = extractNextData(html);
+  if (!data) return null;
+  const conn = findEdges(data);
+  if (!conn) return null;
+
+  const items = [];
+  const seen = new Set();
+  for (const edge of conn.edges) {
+    const t = titleOf(edge);
+    if (!t || seen.has(t.id)) continue;
+    seen.add(t.id);
+    const node = edge.node && edge.node !== t ? edge.node : edge;
+    const pos = Number(node.absolutePosition ?? edge.absolutePosition ?? node.position ?? edge.position);
+    const userRating = userRatingOf(edge, node, t);
+    items.push({
+      tt: t.id.toLowerCase(),
+      position: Number.isFinite(pos) && pos > 0 ? pos : null,
+      addedAt: toIsoDate(node.createdDate ?? edge.createdDate ?? node.dateAdded ?? edge.dateAdded ?? node.ratedAt ?? edge.ratedAt),
+      titleLabel: t.titleType?.text || plain(t.titleType?.displayableProperty?.value) || null,
+      titleType: t.titleType?.id || null,
+      note: plain(node.description) || plain(edge.description) || null,
+      ...(userRating ? { userRating } : {})
+    });
+  }
+  if (!items.length) return null;
+
+  const list = findListMeta(data);
+  return {
+    title: plain(list?.name) || null,
+    description: plain(list?.description) || null,
+    total: Number(conn.total) || null,
+    hasNextPage: Boolean(conn.pageInfo?.hasNextPage),
+    items
+  };
+}
@@ -0,0 +1,232 @@
+// lib/imdbScraper.js (ESM, Node 18+)
+// The one IMDb list scraper used by the server, the warmer and lib/imdb.js.
+// Sources are ls lists, user watchlists and user ratings pages (see lib/listSources.js).
+//
+// Strategies run in order until one yields items (IMDB_SCRAPE_STRATEGIES, default
+// "csv,desktop,mobile,proxy"):
+//   csv     – /list/<lsid>/export or /user/<ur>/ratings/export (positions, dates, title
+//             types, your rating); watchlists have no export by user id and skip it
+//   desktop – www.imdb.com list pages
+//   mobile  – m.imdb.com list pages
+//   proxy   – desktop pages through a read-through mirror (IMDB_PROXY_BASE, default r.jina.ai)
+//
+// Result: { title, description, items: [{ tt, position, addedAt, titleLabel, note?, userRating? }], strategy, diagnostics }
+// HTML pages are read from the embedded __NEXT_DATA__ JSON when present (real positions,
+// added dates, type labels, notes), falling back to the tt regexes.
+// diagnostics has one entry per attempted strategy: { strategy, ok, pages, items, status, error, ms }
+
+import { parseImdbExportCsv } from './imdbCsv.js';
+import { parseNextDataList } from './imdbNextData.js';
+import { parseSource, sourceUrls } from './listSources.js';
+import { fetchUpstream } from './upstream.js';
+
+const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122 Safari/537.36';
+const IMDB_PAGES_MAX = Number(process.env.IMDB_PAGES_MAX || 50);
+const MAX_ITEMS = Number(process.env.IMDBSTREAM_MAX_ITEMS_PER_LIST || process.env.IMDBSTREAM_MAX_ITEMS || 1000);
+const PROXY_BASE = process.env.IMDB_PROXY_BASE || 'https://r.jina.ai/http://';
+const DEFAULT_STRATEGIES = ['csv', 'desktop', 'mobile', 'proxy'];
+
+export function configuredStrategies() {
+  const raw = String(process.env.IMDB_SCRAPE_STRATEGIES || '').trim();
+  if (!raw) return DEFAULT_STRATEGIES.slice();
+  return raw.split(',').map(s => s.trim().toLowerCase()).filter(s => STRATEGIES[s]);
+}
+
+async function fetchText(url, accept) {
+  const r = await fetchUpstream(url, {
+    headers: {
+      'accept': accept,
+      'user-agent': UA,
+      'accept-language': 'en-US,en;q=0.9'
+    }
+  });
+  return { status: r.status, ok: r.ok, text: r.ok ? r.text : '' };
+}
+
+function htmlDecode(x) {
+  return String(x || '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#x27;/g, "'");
+}
+
+/**
+ * Parse one list page (desktop, mobile or proxied markdown).
+ * __NEXT_DATA__ wins when present. Otherwise only list rows count: old-layout data-tconst
+ * rows, then modern summary-item rows, and only as a last resort bare /title/ links.
+ * Returns { title, description, items: [{ tt, position, addedAt, titleLabel, note }], hasNext }.
+ */
+export function parseListHtml(html) {
+  const next = parseNextDataList(html);
+  if (next) {
+    return {
+      title: next.title,
+      description: next.description,
+      items: next.items.map(({ titleType, ...it }) => ({ ...it, titleLabel: it.titleLabel || titleType })),
+      hasNext: next.hasNextPage
+    };
+  }
+
+  const ids = [];
+  const seen = new Set();
+  const add = (id) => { id = id.toLowerCase(); if (!seen.has(id)) { seen.add(id); ids.push(id); } };
+  let m;
+
+  // 1) Classic layout: one data-tconst per lister row
+  const reTconst = /data-tconst="(tt\d+)"/gi;
+  while ((m = reTconst.exec(html)) !== null) add(m[1]);
+
+  // 2) Modern layout: first title link inside each list summary row
+  if (!ids.length) {
+    const rows = html.split(/<li[^>]*class="[^"]*ipc-metadata-list-summary-item/i).slice(1);
+    for (const row of rows) {
+      const link = row.match(/\/title\/(tt\d+)/i);
+      if (link) add(link[1]);
+    }
+  }
+
+  // 3) Stripped/mobile/proxied markup: bare title links
+  if (!ids.length) {
+    const reHref = /\/title\/(tt\d+)\b/gi;
+    while ((m = reHref.exec(html)) !== null) add(m[1]);
+  }
+
+  let title = null;
+  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  if (h1) {
+    const inner = h1[1].replace(/<[^>]+>/g, '').trim();
+    if (inner) title = htmlDecode(inner);
+  }
+  if (!title) {
+    const mt = html.match(/<meta property="og:title" content="([^"]+)"/i);
+    if (mt) title = htmlDecode(mt[1]).replace(/ - IMDb.*$/, '');
+  }
+  if (!title) {
+    const md = html.match(/^Title:\s*(.+)$/m); // proxy markdown header
+    if (md) title = md[1].replace(/ - IMDb.*$/, '').trim();
+  }
+
+  let description = null;
+  const desc = html.match(/<meta (?:name="description"|property="og:description") content="([^"]*)"/i);
+  if (desc && desc[1].trim()) description = htmlDecode(desc[1]).trim();
+
+  const hasNext = /Next\s*[»>]|rel="next"|class="[^"]*next-page/i.test(html);
+  const items = ids.map(tt => ({ tt, position: null, addedAt: null, titleLabel: null, note: null }));
+  return { title, description, items, hasNext };
+}
+
+// Walk page=1..maxPages until a page adds nothing new or there's clearly no next page.
+// ctx.resume ({ strategy, page, items } from an interrupted warm) continues after its page.
+async function paginate(makeUrl, ctx, diag) {
+  const out = { title: null, description: null, items: [] };
+  const seen = new Set();
+  const resume = ctx.resume && ctx.resume.strategy === diag.strategy && Array.isArray(ctx.resume.items) ? ctx.resume : null;
+  if (resume) {
+    for (const it of resume.items) { seen.add(it.tt); out.items.push(it); }
+    diag.pages = resume.page;
+  }
+  for (let page = resume ? resume.page + 1 : 1; page <= ctx.maxPages; page++) {
+    const r = await fetchText(makeUrl(page), 'text/html,*/*');
+    diag.status = r.status;
+    if (!r.ok) break;
+    diag.pages = page;
+    const parsed = parseListHtml(r.text);
+    if (!out.title && parsed.title) out.title = parsed.title;
+    if (!out.description && parsed.description) out.description = parsed.description;
+    let added = 0;
+    for (const it of parsed.items) {
+      if (seen.has(it.tt)) continue;
+      seen.add(it.tt);
+      out.items.push({ ...it, position: it.position || out.items.length + 1 });
+      added++;
+      if (out.items.length >= ctx.maxItems) break;
+    }
+    await ctx.onPage({ strategy: diag.strategy, page, scanned: out.items.length, items: out.items });
+    if (out.items.length >= ctx.maxItems) break;
+    if (!added) break;
+    if (!parsed.hasNext && added < 100) break;
+  }
+  return out;
+}
+
+const STRATEGIES = {
+  async csv(urls, ctx, diag) {
+    if (!urls.csv) return null;
+    const r = await fetchText(urls.csv, 'text/csv');
+    diag.status = r.status;
+    if (!r.ok) return null;
+    diag.pages = 1;
+    const { items } = parseImdbExportCsv(r.text);
+    await ctx.onPage({ strategy: 'csv', page: 1, scanned: items.length, items });
+    return { title: null, description: null, items: items.slice(0, ctx.maxItems) };
+  },
+  desktop(urls, ctx, diag) {
+    return paginate(urls.desktop, ctx, diag);
+  },
+  mobile(urls, ctx, diag) {
+    return paginate(urls.mobile, ctx, diag);
+  },
+  proxy(urls, ctx, diag) {
+    return paginate(p => PROXY_BASE + urls.desktop(p).replace(/^https?:\/\//, ''), ctx, diag);
+  }
+};
+
+// CSV exports carry no list name; one desktop page does
+async function fetchListTitle(urls) {
+  try {
+    const r = await fetchText(urls.title, 'text/html,*/*');
+    return r.ok ? parseListHtml(r.text).title : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scrape an IMDb list, watchlist or ratings page through the strategy chain.
+ * listId: a source id (ls…, ur…-watchlist, ur…-ratings) or any URL parseSource accepts.
+ * opts: { strategies, maxPages, maxItems, withTitle, resume, onPage({ strategy, page, scanned, items }) }
+ * onPage may return a promise (it is awaited); resume is the last onPage's { strategy, page, items }.
+ * Never throws for upstream failures; check `items.length` and `diagnostics`.
+ */
+export async function scrapeImdbList(listId, opts = {}) {
+  const src = parseSource(listId);
+  const lsid = src ? src.id : String(listId).toLowerCase();
+  const urls = sourceUrls(lsid);
+  if (!urls) return { lsid, title: null, description: null, items: [], strategy: null, diagnostics: [] };
+  const ctx = {
+    maxPages: Number(opts.maxPages) || IMDB_PAGES_MAX,
+    maxItems: Number(opts.maxItems) || MAX_ITEMS,
+    onPage: typeof opts.onPage === 'function' ? opts.onPage : () => {},
+    resume: opts.resume || null
+  };
+  const order = (opts.strategies || configuredStrategies()).filter(s => STRATEGIES[s]);
+
+  const diagnostics = [];
+  let title = null;
+  let description = null;
+  for (const strategy of order) {
+    const diag = { strategy, ok: false, pages: 0, items: 0, status: null, error: null, ms: 0 };
+    diagnostics.push(diag);
+    const started = Date.now();
+    try {
+      const res = await STRATEGIES[strategy](urls, ctx, diag);
+      diag.ms = Date.now() - started;
+      if (!res) continue;
+      // Keep metadata from any strategy (CSV carries none) even if it found no items
+      title = title || res.title;
+      description = description || res.description;
+      diag.items = res.items.length;
+      if (!res.items.length) continue;
+      diag.ok = true;
+      if (!title && opts.withTitle !== false) title = await fetchListTitle(urls);
+      return { lsid, title, description, items: res.items, strategy, diagnostics };
+    } catch (err) {
+      diag.ms = Date.now() - started;
+      diag.error = err.message;
+    }
+  }
+  return { lsid, title, description, items: [], strategy: null, diagnostics };
+}
@@ -0,0 +1,137 @@
+// lib/imdbTitlePage.mjs
+// Per-title IMDb page lookups (slow, and IMDb blocks them under load, so they run last):
+// - episode → parent series (data-parent-tconst, JSON-LD partOfSeries)
+// - titleType from JSON-LD @type or the type label on the page
+//
+// Exported: resolveParentSeriesFromImdb(tt), resolveTitleTypeFromImdb(tt)
+//
+// Env flags:
+//   EP_PARENT_TTL_MS (default 24h)
+
+import { fetchUpstream } from './upstream.js';
+
+// Episode→Series LRU
+const EP_PARENT_LRU = new Map(); // episode -> { parent, ts }
+const EP_PARENT_TTL_MS = Number(process.env.EP_PARENT_TTL_MS || 24*60*60*1000);
+
+function lruGetEpParent(tt) {
+  const hit = EP_PARENT_LRU.get(tt);
+  if (!hit) return null;
+  if (Date.now() - hit.ts > EP_PARENT_TTL_MS) { EP_PARENT_LRU.delete(tt); return null; }
+  return hit.parent;
+}
+function lruSetEpParent(tt, parent) {
+  if (EP_PARENT_LRU.size > 1000) {
+    const toDelete = Math.floor(EP_PARENT_LRU.size * 0.1) || 1;
+    let i = 0;
+    for (const k of EP_PARENT_LRU.keys()) { EP_PARENT_LRU.delete(k); if (++i >= toDelete) break; }
+  }
+  EP_PARENT_LRU.set(tt, { parent, ts: Date.now() });
+}
+
+// Pull JSON-LD blocks
+function extractJsonLd(html) {
+  const blocks = [];
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const raw = m[1].trim();
+    if (!raw) continue;
+    try {
+      const json = JSON.parse(raw);
+      if (Array.isArray(json)) blocks.push(...json);
+      else blocks.push(json);
+    } catch {}
+  }
+  return blocks;
+}
+
+async function fetchImdbHtml(tt) {
+  const url = `https://www.imdb.com/title/${tt}/`;
+  const r = await fetchUpstream(url, {
+    headers: {
+      'accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'accept-language': 'en-US,en;q=0.8',
+      'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119 Safari/537.36'
+    }
+  });
+  if (!r.ok) return null;
+  return r.text;
+}
+
+export async function resolveParentSeriesFromImdb(tt) {
+  try {
+    const cached = lruGetEpParent(tt);
+    if (cached) return cached;
+
+    const html = await fetchImdbHtml(tt);
+    if (!html) return null;
+
+    // data-parent-tconst attribute
+    let m = html.match(/data-parent-tconst="(tt\d+)"/);
+    if (m) { lruSetEpParent(tt, m[1]); return m[1]; }
+
+    // JSON-LD
+    const lds = extractJsonLd(html);
+    for (const obj of lds) {
+      if (!obj) continue;
+      if (obj['@type'] === 'TVEpisode' || obj['@type'] === 'Episode') {
+        const cand = obj?.partOfSeries?.['@id'] || obj?.partOfSeries?.url
+                  || obj?.partOfSeason?.partOfSeries?.['@id'] || obj?.partOfSeason?.partOfSeries?.url
+                  || obj?.isPartOf?.['@id'] || obj?.isPartOf?.url;
+        if (typeof cand === 'string') {
+          const mm = cand.match(/tt\d+/);
+          if (mm) { lruSetEpParent(tt, mm[0]); return mm[0]; }
+        }
+      }
+    }
+
+    // Fallback: any /title/tt… found (avoid self)
+    m = html.match(/\/title\/(tt\d+)\//);
+    if (m && m[1] && m[1] !== tt) { lruSetEpParent(tt, m[1]); return m[1]; }
+  } catch {}
+  return null;
+}
+
+export async function resolveTitleTypeFromImdb(tt) {
+  try {
+    const html = await fetchImdbHtml(tt);
+    if (!html) return null;
+
+    // 1) JSON-LD @type
+    const lds = extractJsonLd(html);
+    for (const obj of lds) {
+      if (!obj || !obj['@type']) continue;
+      // Normalize into IMDb-ish labels
+      const t = String(obj['@type']).toLowerCase();
+      if (t === 'movie') return 'movie';
+      if (t === 'tvseries') return 'tvSeries';
+      if (t === 'tvepisode' || t === 'episode') return 'tvEpisode';
+      if (t === 'tvminiseries' || t.includes('miniseries')) return 'tvMiniSeries';
+    }
+
+    // 2) Look for explicit titleType label text in the page
+    const labelMatch = html.match(/>TV Mini Series<|>TV Series<|>TV Movie<|>TV Special<|>TV Short<|>Short<|>Music Video<|>Video Game<|>Podcast Series<|>Podcast Episode<|>Video/i);
+    if (labelMatch) {
+      const label = labelMatch[0].replace(/[><]/g, '').trim();
+      // convert to a canonical IMDb-like key
+      const map = {
+        'TV Series': 'tvSeries',
+        'TV Mini Series': 'tvMiniSeries',
+        'TV Movie': 'tvMovie',
+        'TV Special': 'tvSpecial',
+        'TV Short': 'tvShort',
+        'Short': 'short',
+        'Music Video': 'musicVideo',
+        'Video Game': 'videoGame',
+        'Podcast Series': 'podcastSeries',
+        'Podcast Episode': 'podcastEpisode',
+        'Video': 'video'
+      };
+      return map[label] || null;
+    }
+
+    return null;
+  } catch {}
+  return null;
+}
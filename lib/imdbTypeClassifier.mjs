@@ -2,6 +2,8 @@
  * lib/imdbTypeClassifier.mjs
  * Canonical mapping + helpers for IMDb titleType → Stremio buckets.
  * Phase 1: robust type-detection (movie vs series) + label mapping fallback.
+ * resolveType(tt, signals) weighs label / JSON-LD / dataset / Cinemeta evidence into a bucket;
+ * it runs as the engine's 'evidence' resolver (lib/classifyEngine.mjs), which gathers the signals.
  */
 
 export const MOVIE_TYPES = new Set([
@@ -38,11 +40,16 @@ const LABEL_TO_TITLETYPE = new Map([
   ['podcast episode', 'podcastepisode'],
 ]);
 
-/** Map an IMDb list label (e.g., "TV Series", "Movie") to canonical titleType. */
+/**
+ * Map an IMDb list label (e.g., "TV Series", "Movie") to canonical titleType.
+ * Canonical ids as found in page JSON (e.g., "tvSeries", "tvMiniSeries") pass through.
+ */
 export function titleTypeFromLabel(label) {
   if (!label) return null;
   const key = String(label).trim().toLowerCase();
-  return LABEL_TO_TITLETYPE.get(key) || null;
+  if (LABEL_TO_TITLETYPE.has(key)) return LABEL_TO_TITLETYPE.get(key);
+  if (MOVIE_TYPES.has(key) || SERIES_TYPES.has(key) || EXCLUDE_TYPES.has(key)) return key;
+  return null;
 }
 
 /**
@@ -59,3 +66,90 @@ export function bucketFor(titleTypeRaw) {
   if (EXCLUDE_TYPES.has(tt)) return null;
   return null;
 }
+
+// ---- Evidence-based resolution ----
+
+// How much each kind of evidence counts when signals disagree
+export const SIGNAL_WEIGHTS = {
+  dataset: 0.95,        // IMDb dataset titleType (lib/imdbDataset.js)
+  label: 0.9,           // title type label on the list page / CSV export
+  jsonLd: 0.8,          // JSON-LD @type on the IMDb title page
+  cinemeta: 0.7,        // Cinemeta has a meta under exactly one type
+  seriesEvidence: 0.6   // series meta with totalSeasons or season-numbered videos
+};
+
+// JSON-LD @type → canonical titleType
+const JSONLD_TO_TITLETYPE = new Map([
+  ['movie', 'movie'],
+  ['tvseries', 'tvseries'],
+  ['tvminiseries', 'tvminiseries'],
+  ['tvepisode', 'tvepisode'],
+  ['episode', 'tvepisode'],
+  ['videogame', 'videogame'],
+  ['musicvideoobject', 'musicvideo'],
+  ['podcastseries', 'podcastseries'],
+  ['podcastepisode', 'podcastepisode'],
+]);
+
+// Bucket a canonical titleType votes for; episodes count as series only with a known parent
+function voteFor(titleType, parent) {
+  const bucket = bucketFor(titleType);
+  if (bucket) return bucket;
+  if (titleType === 'tvepisode' && parent) return 'series';
+  return 'exclude';
+}
+
+/**
+ * Combine whatever is known about a title into a bucket. Pure: no I/O, callers gather signals.
+ *
+ * signals: {
+ *   label?         list-page label or titleType ("TV Series", "tvMiniSeries")
+ *   jsonLdType?    JSON-LD @type from the title page ("Movie", "TVSeries", "TVEpisode")
+ *   datasetType?   titleType from the IMDb dataset index
+ *   cinemeta?      { movie, series } — truthy (or the meta) when Cinemeta has that type
+ *   totalSeasons?, videos?  series evidence (default: read from cinemeta.series when it's a meta)
+ *   parent?        parent series tt when the title is an episode
+ * }
+ * Returns { tt, type: 'movie'|'series'|'exclude', confidence, signals: [{ signal, value, vote, weight }], parent? }
+ * confidence is the winner's share of the total evidence weight, capped by its strongest signal;
+ * no evidence at all resolves to exclude with confidence 0.
+ */
+export function resolveType(tt, signals = {}) {
+  const used = [];
+  const add = (signal, value, vote) => used.push({ signal, value, vote, weight: SIGNAL_WEIGHTS[signal] });
+  const parent = signals.parent || null;
+
+  const datasetType = signals.datasetType ? String(signals.datasetType).toLowerCase() : null;
+  if (datasetType) add('dataset', datasetType, voteFor(datasetType, parent));
+
+  const labelType = titleTypeFromLabel(signals.label);
+  if (labelType) add('label', labelType, voteFor(labelType, parent));
+
+  const ldRaw = String(signals.jsonLdType || '').toLowerCase();
+  const ldType = JSONLD_TO_TITLETYPE.get(ldRaw) || titleTypeFromLabel(ldRaw); // canonical ids from page labels too
+  if (ldType) add('jsonLd', ldType, voteFor(ldType, parent));
+
+  const cm = signals.cinemeta || {};
+  const hasMovie = Boolean(cm.movie), hasSeries = Boolean(cm.series);
+  if (hasMovie !== hasSeries) add('cinemeta', hasMovie ? 'movie-only' : 'series-only', hasMovie ? 'movie' : 'series');
+
+  const seriesMeta = cm.series && typeof cm.series === 'object' ? cm.series : null;
+  const totalSeasons = Number(signals.totalSeasons ?? seriesMeta?.totalSeasons ?? 0);
+  const videos = signals.videos ?? seriesMeta?.videos;
+  const seasonVideos = Array.isArray(videos) && videos.some(v => v && v.season !== undefined && v.season !== null);
+  if (totalSeasons > 0 || seasonVideos) add('seriesEvidence', totalSeasons > 0 ? `totalSeasons=${totalSeasons}` : 'season-videos', 'series');
+
+  if (!used.length) return { tt, type: 'exclude', confidence: 0, signals: used };
+
+  const score = { movie: 0, series: 0, exclude: 0 };
+  let total = 0;
+  for (const s of used) { score[s.vote] += s.weight; total += s.weight; }
+  // Ties go series → movie → exclude (a series meta is never shown under movies)
+  const type = ['series', 'movie', 'exclude'].reduce((best, k) => (score[k] > score[best] ? k : best), 'series');
+  const strongest = Math.max(...used.filter(s => s.vote === type).map(s => s.weight));
+  const confidence = Math.round((score[type] / total) * strongest * 100) / 100;
+
+  const out = { tt, type, confidence, signals: used };
+  if (type === 'series' && parent) out.parent = parent;
+  return out;
+}
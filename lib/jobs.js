@@ -0,0 +1,144 @@
+// lib/jobs.js (ESM, Node 18+)
+// Warm-job queue: each warm is a job with state + progress counters.
+// A global concurrency cap keeps many users preloading at once from hammering Cinemeta/IMDb.
+//
+// Job states: queued → running → done | failed
+// A change to a list while its warm runs (changed: true) marks the running job dirty and queues
+// one follow-up job, which starts when the running one finishes; more changes share it.
+// Events (jobEvents 'job'): { type: 'queued'|'started'|'progress'|'done'|'failed', job, progress? }
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+
+const WARM_CONCURRENCY = Math.max(1, Number(process.env.WARM_CONCURRENCY || 2));
+const JOB_HISTORY_PER_USER = 20; // finished jobs kept per uid for the status API
+const MAX_JOB_ERRORS = 50;
+
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // one listener per open SSE stream
+
+const jobs = new Map(); // id -> job
+const queue = [];       // queued job ids, FIFO
+let running = 0;
+
+function publicJob(job) {
+  const { run, promise, resolve, ...rest } = job;
+  return { ...rest, errors: rest.errors.slice() };
+}
+
+function emit(type, job, progress) {
+  jobEvents.emit('job', { type, job: publicJob(job), progress });
+}
+
+function prune(uid) {
+  const finished = [...jobs.values()]
+    .filter(j => j.uid === uid && (j.state === 'done' || j.state === 'failed'))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  for (const j of finished.slice(JOB_HISTORY_PER_USER)) jobs.delete(j.id);
+}
+
+function onProgress(job, p = {}) {
+  if (typeof p.scanned === 'number') job.scanned = p.scanned;
+  if (typeof p.classified === 'number') job.classified = p.classified;
+  if (typeof p.total === 'number') job.total = p.total;
+  if (p.phase) job.phase = p.phase;
+  if (p.error && job.errors.length < MAX_JOB_ERRORS) job.errors.push({ tt: p.tt || null, error: String(p.error) });
+  emit('progress', job, p);
+}
+
+async function execute(job) {
+  running++;
+  job.state = 'running';
+  job.startedAt = Date.now();
+  emit('started', job);
+  try {
+    const result = await job.run(p => onProgress(job, p));
+    job.result = result || null;
+    job.state = (result && result.ok === false) ? 'failed' : 'done';
+    if (job.state === 'failed' && result.error) job.errors.push({ tt: null, error: String(result.error) });
+  } catch (err) {
+    job.state = 'failed';
+    job.result = { ok: false, lsid: job.lsid, error: err.message };
+    job.errors.push({ tt: null, error: err.message });
+  } finally {
+    job.finishedAt = Date.now();
+    running--;
+    emit(job.state, job);
+    job.resolve(job.result);
+    if (job.followUp) queue.push(job.followUp);
+    prune(job.uid);
+    drain();
+  }
+}
+
+function drain() {
+  while (running < WARM_CONCURRENCY && queue.length) {
+    const job = jobs.get(queue.shift());
+    if (job && job.state === 'queued') execute(job);
+  }
+}
+
+/** Queued or running job for uid+lsid, if any (a queued follow-up before the running job). */
+export function findActiveJob(uid, lsid) {
+  let active = null;
+  for (const j of jobs.values()) {
+    if (j.uid !== uid || j.lsid !== lsid) continue;
+    if (j.state === 'queued') return j;
+    if (j.state === 'running') active = j;
+  }
+  return active;
+}
+
+/**
+ * Queue a warm job. run(onProgress) must return the warm result ({ ok, ... }).
+ * If a job for the same uid+lsid is already queued/running, that job is returned instead,
+ * unless changed is set and it's running: it started before the change, so a follow-up job
+ * is queued behind it and returned.
+ * The returned job has a `promise` resolving to the result (never rejects).
+ */
+export function enqueueJob({ uid, lsid, kind = 'warm', run, changed = false }) {
+  const active = findActiveJob(uid, lsid);
+  if (active && (active.state === 'queued' || !changed)) return active;
+
+  const job = {
+    id: randomBytes(6).toString('hex'),
+    kind,
+    uid,
+    lsid,
+    state: 'queued',
+    phase: null,
+    scanned: 0,
+    classified: 0,
+    total: 0,
+    errors: [],
+    result: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    run
+  };
+  job.promise = new Promise(resolve => { job.resolve = resolve; });
+  jobs.set(job.id, job);
+  if (active) {
+    active.dirty = true;
+    active.followUp = job.id;
+  } else {
+    queue.push(job.id);
+  }
+  emit('queued', job);
+  drain();
+  return job;
+}
+
+/** Jobs for a uid, newest first (serializable). */
+export function listJobs(uid) {
+  return [...jobs.values()]
+    .filter(j => j.uid === uid)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(publicJob);
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? publicJob(job) : null;
+}
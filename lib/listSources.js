@@ -0,0 +1,71 @@
+// lib/listSources.js (ESM)
+// IMDb list sources a user can add, and the ids they're stored under:
+//   list      – ls123456789                 (https://www.imdb.com/list/ls123456789/)
+//   watchlist – ur12345678-watchlist        (https://www.imdb.com/user/ur12345678/watchlist)
+//   ratings   – ur12345678-ratings          (https://www.imdb.com/user/ur12345678/ratings)
+//   csv       – csv-3f9a0c12d4              (uploaded IMDb CSV export, never scraped; lib/staticLists.js)
+// Source ids never collide across kinds and are safe inside catalog ids and cache file names.
+
+// Regex source for a stored source id (compose into larger patterns, e.g. catalog ids)
+export const SOURCE_ID_PATTERN = 'ls\\d+|ur\\d+-(?:watchlist|ratings)|csv-[a-f0-9]+';
+const SOURCE_ID_RE = new RegExp(`^(?:${SOURCE_ID_PATTERN})$`, 'i');
+
+export function isSourceId(id) {
+  return SOURCE_ID_RE.test(String(id || ''));
+}
+
+/**
+ * Parse user input (URL or bare id) into { id, kind, user? } or null.
+ * Watchlist/ratings URLs may be desktop or mobile, with or without query strings.
+ */
+export function parseSource(input) {
+  const s = String(input || '').trim();
+  let m = s.match(/(ur\d{4,})\/(watchlist|ratings)\b/i) || s.match(/^(ur\d{4,})-(watchlist|ratings)$/i);
+  if (m) {
+    const user = m[1].toLowerCase();
+    const kind = m[2].toLowerCase();
+    return { id: `${user}-${kind}`, kind, user };
+  }
+  m = s.match(/ls\d{6,}/i);
+  if (m) return { id: m[0].toLowerCase(), kind: 'list' };
+  return null;
+}
+
+/** Source kind for a stored id ('list' for legacy/plain ls ids). */
+export function sourceKind(id) {
+  if (/^csv-[a-f0-9]+$/i.test(String(id || ''))) return 'csv';
+  const m = String(id || '').match(/^ur\d+-(watchlist|ratings)$/i);
+  return m ? m[1].toLowerCase() : 'list';
+}
+
+export function defaultSourceName(id) {
+  const src = parseSource(id);
+  if (src && src.kind === 'watchlist') return `IMDb Watchlist (${src.user})`;
+  if (src && src.kind === 'ratings') return `IMDb Ratings (${src.user})`;
+  if (sourceKind(id) === 'csv') return 'Uploaded IMDb list';
+  return `IMDb List ${id}`;
+}
+
+/**
+ * Page URLs per scrape strategy. csv is null when IMDb has no export for the source
+ * (watchlist exports need the watchlist's internal ls id). Null for uploaded lists.
+ */
+export function sourceUrls(id) {
+  const src = parseSource(id);
+  if (!src) return null;
+  if (src.kind === 'list') {
+    return {
+      csv: `https://www.imdb.com/list/${src.id}/export`,
+      desktop: (p) => `https://www.imdb.com/list/${src.id}/?st_dt=&mode=detail&page=${p}`,
+      mobile: (p) => `https://m.imdb.com/list/${src.id}/?page=${p}`,
+      title: `https://www.imdb.com/list/${src.id}/`
+    };
+  }
+  const base = `user/${src.user}/${src.kind}`;
+  return {
+    csv: src.kind === 'ratings' ? `https://www.imdb.com/${base}/export` : null,
+    desktop: (p) => `https://www.imdb.com/${base}/?page=${p}`,
+    mobile: (p) => `https://m.imdb.com/${base}/?page=${p}`,
+    title: `https://www.imdb.com/${base}/`
+  };
+}
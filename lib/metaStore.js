@@ -0,0 +1,98 @@
+// lib/metaStore.js (ESM)
+// Shared, persistent title store, keyed by tt and shared by every user and list, so a title
+// classified or looked up once is not fetched again until its entry expires.
+//
+// data/meta/<kind>/<tt>.json = { tt, fetchedAt, value } (in the configured storage backend, lib/store.js)
+//   movie / series  – trimmed Cinemeta meta for that type (value null = Cinemeta has none)
+//   full-movie      – untrimmed movie meta for the meta route's Cinemeta fallback (trailers, links)
+//   full-series     – untrimmed series meta for the meta route (videos, trailers, links)
+//   class           – classification: { type, confidence, reason, parent? }; never one the
+//                     per-list label decided, since other lists may label the title differently
+// A small in-memory LRU sits in front of the files.
+//
+// Env flags:
+//   META_STORE_DIR           (default data/meta)
+//   META_STORE_TTL_SEC       (default 604800, 7 days) for found metas and classifications
+//   META_STORE_MISS_TTL_SEC  (default 21600) for "Cinemeta has no such meta"
+//   META_STORE_MEM           (default 5000) entries kept in memory
+
+import path from 'path';
+import { readDoc, writeDoc } from './store.js';
+
+const STORE_DIR = process.env.META_STORE_DIR || path.join(process.cwd(), 'data', 'meta');
+export const META_TTL_SEC = Number(process.env.META_STORE_TTL_SEC || 7 * 24 * 3600);
+export const MISS_TTL_SEC = Number(process.env.META_STORE_MISS_TTL_SEC || 6 * 3600);
+const MEM_MAX = Number(process.env.META_STORE_MEM || 5000);
+const KINDS = new Set(['movie', 'series', 'full-movie', 'full-series', 'class']);
+
+const mem = new Map(); // `${kind}:${tt}` -> record (insertion order = LRU)
+
+function entryPath(kind, tt) {
+  return path.join(STORE_DIR, kind, `${tt}.json`);
+}
+
+function remember(key, rec) {
+  mem.delete(key);
+  mem.set(key, rec);
+  while (mem.size > MEM_MAX) mem.delete(mem.keys().next().value);
+}
+
+function valid(kind, tt) {
+  return KINDS.has(kind) && /^tt\d+$/.test(String(tt || ''));
+}
+
+/**
+ * Stored entry: { value, fetchedAt, fresh } or null when nothing is stored.
+ * fresh is false once older than ttlSec (default META_TTL_SEC, MISS_TTL_SEC for null values).
+ */
+export async function readEntry(kind, tt, ttlSec) {
+  if (!valid(kind, tt)) return null;
+  const key = `${kind}:${tt}`;
+  let rec = mem.get(key);
+  if (!rec) {
+    rec = await readDoc(entryPath(kind, tt));
+    if (!rec || typeof rec.fetchedAt !== 'number') return null;
+  }
+  remember(key, rec);
+  const ttl = ttlSec ?? (rec.value == null ? MISS_TTL_SEC : META_TTL_SEC);
+  return { value: rec.value ?? null, fetchedAt: rec.fetchedAt, fresh: Date.now() - rec.fetchedAt < ttl * 1000 };
+}
+
+export async function writeEntry(kind, tt, value) {
+  if (!valid(kind, tt)) return;
+  const rec = { tt, fetchedAt: Date.now(), value: value ?? null };
+  remember(`${kind}:${tt}`, rec);
+  try {
+    await writeDoc(entryPath(kind, tt), rec, { pretty: false });
+  } catch {}
+}
+
+// Catalog-facing fields; videos keep just enough for series detection and episode lookups
+export function trimMeta(meta) {
+  if (!meta) return null;
+  const keep = ['id', 'type', 'name', 'poster', 'posterShape', 'background', 'logo', 'imdbRating', 'runtime',
+    'genres', 'year', 'releaseInfo', 'description', 'cast', 'director', 'totalSeasons'];
+  const out = {};
+  for (const k of keep) if (meta[k] !== undefined) out[k] = meta[k];
+  if (Array.isArray(meta.videos)) {
+    out.videos = meta.videos.map(v => ({ id: v.id, season: v.season, episode: v.episode ?? v.number, name: v.name || v.title, imdb_id: v.imdb_id }));
+  }
+  return out;
+}
+
+/**
+ * Cinemeta meta through the store: a fresh stored meta (or known miss) wins, otherwise
+ * fetcher(type, tt) runs and its answer is stored. fetcher returns the meta, null for
+ * "no such meta", or throws on network trouble (then a stale stored meta is returned).
+ */
+export async function storedMeta(type, tt, fetcher) {
+  const hit = await readEntry(type, tt);
+  if (hit && hit.fresh) return hit.value;
+  try {
+    const meta = trimMeta(await fetcher(type, tt));
+    await writeEntry(type, tt, meta);
+    return meta;
+  } catch {
+    return hit ? hit.value : null;
+  }
+}
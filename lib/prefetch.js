@@ -5,30 +5,31 @@
 import { promises as fsp } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { bucketFor, titleTypeFromLabel } from './imdbTypeClassifier.mjs';
+import { classifyTitle, cinemetaMeta } from './classifyEngine.mjs';
+import { titleTypeFromLabel } from './imdbTypeClassifier.mjs';
+import { scrapeImdbList } from './imdbScraper.js';
+import { sourceKind } from './listSources.js';
+import { readStaticSource } from './staticLists.js';
+import { reportEntry, writeExclusionReport, readExclusionReport } from './exclusions.js';
+import { episodeEntry, writeEpisodeMap, readEpisodeMap } from './episodeMap.js';
+import { computeFacets, writeFacets } from './facets.js';
+import { readEntry, writeEntry, MISS_TTL_SEC } from './metaStore.js';
+import { readDoc, writeDoc, removeDoc } from './store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ---- Config knobs ----
-const IMDB_PAGES_MAX = Number(process.env.IMDB_PAGES_MAX || 50);
-const MAX_ITEMS = Number(process.env.IMDBSTREAM_MAX_ITEMS_PER_LIST || process.env.IMDBSTREAM_MAX_ITEMS || 1000);
-
 // ---- Storage locations ----
 const CACHE_DIR = path.join(process.cwd(), 'data', 'cache');
 
+// Documents live in the configured storage backend (lib/store.js; files by default)
 async function readJson(file, def = null) {
-  try {
-    const raw = await fsp.readFile(file, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return def;
-  }
+  const doc = await readDoc(file);
+  return doc == null ? def : doc;
 }
 
 async function writeJson(file, obj) {
-  await fsp.mkdir(path.dirname(file), { recursive: true });
-  await fsp.writeFile(file, JSON.stringify(obj, null, 2), 'utf8');
+  await writeDoc(file, obj);
 }
 
 function cachePath(uid, lsid, bucket /* 'movies' | 'series' */) {
@@ -48,6 +49,106 @@ export async function writeCache(uid, lsid, bucket, arr) {
   await writeJson(p, Array.isArray(arr) ? arr : []);
 }
 
+// ---- Warm state (freshness tracking) ----
+function warmStatePath(uid, lsid) {
+  return path.join(CACHE_DIR, uid, `${lsid}-warm.json`);
+}
+
+/**
+ * Last successful warm for a list: { warmedAt (ms), counts, scanned } or null.
+ * Caches written by other tools (classifier/scripts) fall back to -types.json
+ * updatedAt, then to the split cache mtime.
+ */
+export async function readWarmState(uid, lsid) {
+  const st = await readJson(warmStatePath(uid, lsid), null);
+  if (st && st.warmedAt) return st;
+  const types = await readJson(path.join(CACHE_DIR, uid, `${lsid}-types.json`), null);
+  const ts = types && Date.parse(types.updatedAt || '');
+  if (ts) return { warmedAt: ts };
+  for (const bucket of ['movies', 'series']) {
+    try {
+      const stat = await fsp.stat(cachePath(uid, lsid, bucket));
+      return { warmedAt: stat.mtimeMs };
+    } catch {}
+  }
+  return null;
+}
+
+// ---- Incremental warms ----
+// <lsid>-ids.json: { ids, updatedAt, fullAt, decisions: { tt: { type, id?, parent?, ov? } } }
+//   type null = excluded; id = the catalog item it landed on (the series for an episode);
+//   ov = the override it was decided under. Unresolved/failed titles get no decision.
+// <lsid>-changes.json: { entries: [{ at, mode, added, removed, addedCount, removedCount, classified, reused }] }
+// Kept metas are refreshed by a full warm every FULL_WARM_SEC (default 7 days)
+const FULL_WARM_SEC = Number(process.env.FULL_WARM_SEC || 7 * 24 * 3600);
+const CHANGE_LOG_MAX = 50;
+const CHANGE_LOG_IDS_MAX = 1000;
+
+function idsPath(uid, lsid) {
+  return path.join(CACHE_DIR, uid, `${lsid}-ids.json`);
+}
+function changeLogPath(uid, lsid) {
+  return path.join(CACHE_DIR, uid, `${lsid}-changes.json`);
+}
+
+// What the previous warm left behind, or null when it didn't record decisions (full warm)
+async function readPreviousWarm(uid, lsid) {
+  const prevIds = await readJson(idsPath(uid, lsid), null);
+  const ids = Array.isArray(prevIds) ? prevIds : (prevIds && Array.isArray(prevIds.ids) ? prevIds.ids : []);
+  if (!prevIds || !prevIds.decisions || !(Date.now() - (prevIds.fullAt || 0) < FULL_WARM_SEC * 1000)) return { ids, decisions: null };
+  const items = new Map();
+  for (const bucket of ['movies', 'series']) {
+    for (const it of await readCache(uid, lsid, bucket)) if (it && it.id) items.set(`${it.type}:${it.id}`, it);
+  }
+  const report = new Map((await readExclusionReport(path.join(CACHE_DIR, uid), lsid)).items.map(e => [e.tt, e]));
+  const episodes = new Map();
+  for (const entries of (await readEpisodeMap(path.join(CACHE_DIR, uid), lsid)).values()) {
+    for (const e of entries) episodes.set(e.episode, e);
+  }
+  return { ids, decisions: prevIds.decisions, fullAt: prevIds.fullAt, items, report, episodes };
+}
+
+/** Added/removed log of a list's warms, oldest first. */
+export async function readChangeLog(uid, lsid) {
+  const j = await readJson(changeLogPath(uid, lsid), null);
+  return Array.isArray(j && j.entries) ? j.entries : [];
+}
+
+async function appendChangeLog(uid, lsid, entry) {
+  const entries = await readChangeLog(uid, lsid);
+  entries.push(entry);
+  await writeJson(changeLogPath(uid, lsid), { entries: entries.slice(-CHANGE_LOG_MAX) });
+}
+
+// Ratings sources: show the user's own score ahead of the synopsis
+const RATING_PREFIX = /^Your rating: [^\n]*\n?/;
+function withRating(description, userRating) {
+  return userRating ? [`Your rating: ${userRating}/10`, description].filter(Boolean).join('\n') : description;
+}
+
+// A kept item with the list's current fields (position, date, note, rating)
+function relist(item, { position, addedAt, note, userRating }) {
+  const description = item.userRating ? (String(item.description || '').replace(RATING_PREFIX, '') || undefined) : item.description;
+  return {
+    ...item,
+    description: withRating(description, userRating),
+    position,
+    addedAt,
+    listNote: note || undefined,
+    userRating: userRating || undefined
+  };
+}
+
+/**
+ * Sort key for "Added": the real date added when known, else list position.
+ * Legacy caches stored a numeric counter in addedAt.
+ */
+export function addedKey(x) {
+  const ts = typeof x?.addedAt === 'string' ? Date.parse(x.addedAt) : NaN;
+  if (Number.isFinite(ts)) return ts;
+  return Number(x?.position || x?.addedAt || 0);
+}
+
 /** Unified search/sort/skip/limit for catalogs (deterministic defaults + tie-breakers) */
 export function applySearchAndSort(
   items,
@@ -58,8 +159,8 @@ export function applySearchAndSort(
     : (items && Array.isArray(items.metas) ? items.metas.slice(0) : []);
 
   // Default deterministic sort: added asc (stable pagination)
-  const sortKey = (sort ? String(sort).toLowerCase() : 'added');
-  const defaultOrder = (sortKey === 'rating') ? 'desc' : 'asc';
+  const sortKey = (sort ? String(sort).toLowerCase().replace(/\s+/g, '') : 'added');
+  const defaultOrder = (sortKey === 'rating' || sortKey === 'yourrating') ? 'desc' : 'asc';
   const sortOrder = (order ? String(order).toLowerCase() : defaultOrder);
 
   if (search) {
@@ -78,8 +179,9 @@ export function applySearchAndSort(
       case 'year':    return Number(x?.year || 0);
       case 'rating':  return Number(x?.imdbRating || x?.rating || 0);
       case 'runtime': return Number(x?.runtime || 0);
+      case 'yourrating': return Number(x?.userRating || 0);
       case 'added':
-      default:        return Number(x?.addedAt || 0);
+      default:        return addedKey(x);
     }
   };
   const desc = (sortOrder === 'desc');
@@ -111,81 +213,41 @@ export function applySearchAndSort(
   return out.slice(skip, skip + limit);
 }
 
-// ---- Classification via Cinemeta ----
-const CINEMETA = 'https://v3-cinemeta.strem.io';
-
-async function safeJson(resp) { try { return await resp.json(); } catch { return null; } }
-async function safeMeta(resp) {
-  if (!resp || !resp.ok) return null;
-  const j = await safeJson(resp);
-  return j && j.meta ? j.meta : null;
-}
-
-function looksLikeSeries(meta) {
-  if (!meta) return false;
-  if (String(meta?.type || '').toLowerCase() === 'series') return true;
-  if (Array.isArray(meta?.videos) && meta.videos.some(v => String(v?.type || '').toLowerCase() === 'series' || String(v?.season || ''))) return true;
-  if (Number(meta?.totalSeasons || 0) > 0) return true;
-  return false;
-}
-
-export async function classifyAndFetch(tt, raw = {}) {
-  // Try Cinemeta both types concurrently
-  const [m, s] = await Promise.allSettled([
-    fetch(`${CINEMETA}/meta/movie/${tt}.json`),
-    fetch(`${CINEMETA}/meta/series/${tt}.json`)
-  ]);
-  const okM = (m.status === 'fulfilled' && m.value.ok);
-  const okS = (s.status === 'fulfilled' && s.value.ok);
-
-  if (okM && !okS) return { type: 'movie',  meta: await safeMeta(m.value) };
-  if (okS && !okM) return { type: 'series', meta: await safeMeta(s.value) };
-
-  // Tie-breaker when both succeed:
-  if (okS && okM) {
-    // 1) Prefer explicit IMDb mapping if you pass label in raw.titleLabel
-    const mapped = bucketFor(String(titleTypeFromLabel(raw.titleLabel) || raw.titleType || '').toLowerCase());
-    if (mapped === 'series') return { type: 'series', meta: await safeMeta(s.value) };
-    if (mapped === 'movie')  return { type: 'movie',  meta: await safeMeta(m.value) };
-
-    // 2) Inspect payloads
-    let jm = null, js = null;
-    try { jm = await m.value.clone().json(); } catch {}
-    try { js = await s.value.clone().json(); } catch {}
-    const mm = jm && jm.meta ? jm.meta : null;
-    const sm = js && js.meta ? js.meta : null;
-
-    if (looksLikeSeries(sm)) return { type: 'series', meta: sm };
-    if (!looksLikeSeries(sm) && (String(mm?.type || '').toLowerCase() === 'movie')) return { type: 'movie', meta: mm };
-
-    // 3) Final fallback: prefer series then movie
-    return { type: 'series', meta: sm || await safeMeta(s.value) } || { type: 'movie', meta: await safeMeta(m.value) };
-  }
-
-  // Neither succeeded
-  return { type: null, meta: null };
-}
-
-// ---- IMDb list scraping ----
-export async function fetchImdbListPage(lsid, page = 1) {
-  const url = `https://www.imdb.com/list/${lsid}/?page=${page}&mode=detail`;
-  const res = await fetch(url, {
-    headers: {
-      'accept-language': 'en-US,en;q=0.9',
-      'user-agent': 'Mozilla/5.0 (compatible; IMDbStreamBot/1.0)'
+// ---- Classification (shared engine, lib/classifyEngine.mjs) ----
+// Decisions are shared across users and lists through the meta store ('class' entries);
+// exclusions are re-checked after MISS_TTL_SEC, unresolved titles are never stored and
+// per-list overrides bypass the store. The label resolver depends on the list's own titleType
+// label, so its decisions aren't stored, and a labelled title only reuses a stored dataset
+// decision (the one resolver that outranks the label).
+async function classifyStored(tt, raw) {
+  const getMeta = raw.getMeta || cinemetaMeta;
+  const labelled = Boolean(titleTypeFromLabel(raw.titleLabel) || titleTypeFromLabel(raw.titleType));
+  if (!raw.override) {
+    const hit = await readEntry('class', tt);
+    const c = hit && hit.value;
+    const usable = c && (!labelled || String(c.reason || '').startsWith('dataset'));
+    const fresh = usable && (c.type === 'exclude' ? Date.now() - hit.fetchedAt < MISS_TTL_SEC * 1000 : hit.fresh);
+    if (fresh && c.type === 'exclude') return { ...c, meta: null };
+    if (fresh) {
+      const meta = await getMeta(c.type, c.parent || tt);
+      if (meta) return { ...c, meta };
     }
-  });
-  if (!res.ok) return '';
-  return await res.text();
+  }
+  const d = await classifyTitle(tt, { titleLabel: raw.titleLabel, titleType: raw.titleType, override: raw.override, getMeta, resolvers: raw.resolvers });
+  if (!raw.override && d.reason !== 'unresolved' && !String(d.reason).startsWith('label:')) {
+    const { type, confidence, reason, parent } = d;
+    await writeEntry('class', tt, parent ? { type, confidence, reason, parent } : { type, confidence, reason });
+  }
+  return d;
 }
 
-// Extract unique tt ids from HTML
-export function extractTtIds(html) {
-  if (!html) return [];
-  const ids = new Set();
-  const re = /tt\d{6,}/g;
-  for (const m of html.matchAll(re)) ids.add(m[0]);
-  return Array.from(ids);
+// Returns { type: 'movie' | 'series' | null, meta, confidence, reason, parent? }; excluded
+// and unresolved titles come back with type null. raw: { titleLabel?, titleType?, override?,
+// getMeta?, resolvers? } (the last two as in classifyTitle).
+export async function classifyAndFetch(tt, raw = {}) {
+  const d = await classifyStored(tt, raw);
+  if (d.type === 'exclude') return { type: null, meta: null, confidence: d.confidence, reason: d.reason };
+  return d;
 }
 
 // ---- Visual fallbacks (absolute URLs) ----
@@ -213,64 +275,251 @@ function pickBackground(meta, type, origin){
 function pickLogo(meta){ return isHttpUrl(meta?.logo) ? meta.logo : undefined; }
 
 // ---- Warmer ----
+// Uploaded lists: same shape as a scrape result, read from the stored upload
+async function readUploadedItems(uid, id) {
+  const src = await readStaticSource(uid, id);
+  return {
+    items: (src && src.items) || [],
+    strategy: 'upload',
+    diagnostics: [{ strategy: 'upload', ok: Boolean(src), items: src ? src.items.length : 0, error: src ? null : 'no uploaded CSV' }]
+  };
+}
+
+// ---- Checkpoints (resumable warms) ----
+// <lsid>-checkpoint.json while a warm is in flight:
+//   { startedAt, updatedAt, full, scrape: { strategy, page, items, done }, outcomes: { tt: outcome } }
+// outcome = { d, item?, report?, episode? } for every title classified so far. A warm that
+// finds a checkpoint (younger than CHECKPOINT_MAX_AGE_SEC, default 1 day) continues from it;
+// the file is removed when the warm completes.
+const CHECKPOINT_EVERY = 25; // classified titles between checkpoint writes
+const CHECKPOINT_MAX_AGE_SEC = Number(process.env.CHECKPOINT_MAX_AGE_SEC || 24 * 3600);
+
+function checkpointPath(uid, lsid) {
+  return path.join(CACHE_DIR, uid, `${lsid}-checkpoint.json`);
+}
+
+async function readCheckpoint(uid, lsid) {
+  const cp = await readJson(checkpointPath(uid, lsid), null);
+  if (!cp || !cp.outcomes || !(Date.now() - (cp.updatedAt || 0) < CHECKPOINT_MAX_AGE_SEC * 1000)) return null;
+  return cp;
+}
+
+/** True when an interrupted warm left a checkpoint to resume from. */
+export async function hasCheckpoint(uid, lsid) {
+  return Boolean(await readCheckpoint(uid, lsid));
+}
+
+function buildItem(meta, t, tt, { position, addedAt, note, userRating }, origin) {
+  const { poster, posterShape } = pickPoster(meta, t, origin);
+  return {
+    id: meta.id || tt,
+    type: t,
+    name: meta.name || meta.title || meta.id || tt,
+    poster,
+    posterShape,
+    background: pickBackground(meta, t, origin),
+    logo: pickLogo(meta),
+    imdbRating: Number(meta.imdbRating || meta.rating || 0) || undefined,
+    runtime: meta.runtime,
+    genres: meta.genres,
+    year: meta.year,
+    description: withRating(meta.description || meta.overview, userRating),
+    cast: meta.cast,
+    director: meta.director,
+    position,            // 1-based position on the IMDb list
+    addedAt,             // ISO date the item was added to the list (null if the page didn't say)
+    listNote: note || undefined,
+    userRating: userRating || undefined  // ratings sources only: the user's own 1–10 score
+  };
+}
+
+// Everything a warm keeps about one classified title. d (the decision) is null for
+// unresolved titles, so the next warm tries them again.
+async function outcomeOf(tt, r, listItem, ov, origin) {
+  const { titleLabel } = listItem;
+  const report = reportEntry(tt, r, titleLabel ? { titleLabel } : {}) || undefined;
+  if (!r || !r.type || !r.meta) return { d: r && r.reason !== 'unresolved' ? { type: null, ov } : null, report };
+  const t = (r.type === 'series') ? 'series' : 'movie';
+  return {
+    d: { type: t, id: r.meta.id || tt, parent: r.parent || undefined, ov },
+    item: buildItem(r.meta, t, tt, listItem, origin),
+    report,
+    episode: r.parent ? await episodeEntry(tt, r.parent, r.meta) : undefined
+  };
+}
+
+// Catalog caches, report, episode map and decisions from the outcomes, in list order
+function assemble(listItems, outcomes) {
+  const out = { movies: [], series: [], report: [], mappedEpisodes: [], decisions: {} };
+  const seen = new Set(); // several episodes of one series list it once
+  for (const listItem of listItems) {
+    const o = outcomes.get(listItem.tt);
+    if (!o) continue;
+    if (o.d) out.decisions[listItem.tt] = o.d;
+    if (o.report) out.report.push(o.report);
+    if (!o.item) continue;
+    if (o.episode) out.mappedEpisodes.push(o.episode);
+    const key = `${o.item.type}:${o.item.id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    (o.item.type === 'movie' ? out.movies : out.series).push(relist(o.item, listItem));
+  }
+  return out;
+}
+
+// Warms are incremental: titles the previous warm decided keep their decision and cached
+// meta, only additions (and titles whose override changed) are classified, removals drop out.
+// They are also resumable: progress is checkpointed, and a list without a complete cache
+// gets partial caches (warm state partial: true) while the warm runs.
+// opts.full: reclassify everything (also done every FULL_WARM_SEC to refresh metas).
+// opts.overrides: the list's manual overrides ({ tt: { action, series? } }, lib/exclusions.js).
+// opts.getMeta / opts.resolvers: Cinemeta lookup and resolver chain for classifyTitle
+// (default cinemetaMeta and DEFAULT_CHAIN).
+// opts.onProgress(p) receives { phase: 'scrape', page, scanned } and
+// { phase: 'classify', tt, type, classified, total, error? } as the warm advances.
 export async function warmList(uid, lsid, opts = {}) {
   const origin = opts.origin || process.env.PUBLIC_BASE || '';
+  const progress = typeof opts.onProgress === 'function' ? opts.onProgress : () => {};
+  const isUpload = sourceKind(lsid) === 'csv';
+
+  const cp = await readCheckpoint(uid, lsid) || { startedAt: Date.now(), full: false, scrape: null, outcomes: {} };
+  if (opts.full) cp.full = true;
+  const saveCheckpoint = () => writeJson(checkpointPath(uid, lsid), { ...cp, updatedAt: Date.now() });
+
+  // 1) Collect list items (uploaded CSV, or shared scraper: CSV export → desktop → mobile → proxy)
+  let scraped;
+  if (isUpload) {
+    scraped = await readUploadedItems(uid, lsid);
+  } else if (cp.scrape && cp.scrape.done) {
+    const { strategy, items } = cp.scrape;
+    scraped = { items, strategy, diagnostics: [{ strategy, ok: true, items: items.length, resumed: true }] };
+  } else {
+    scraped = await scrapeImdbList(lsid, {
+      resume: cp.scrape,
+      onPage: ({ strategy, page, scanned, items }) => {
+        progress({ phase: 'scrape', page, scanned });
+        cp.scrape = { strategy, page, items, done: false };
+        return saveCheckpoint();
+      }
+    });
+  }
+  const listItems = scraped.items;
+  const ids = listItems.map(it => it.tt);
+
+  // Nothing scraped (blocked/offline): keep the existing caches rather than blanking them
+  if (!ids.length) return { ok: false, lsid, error: 'no items scraped', scanned: 0, diagnostics: scraped.diagnostics };
+  if (!isUpload) {
+    cp.scrape = { strategy: scraped.strategy, items: listItems, done: true };
+    await saveCheckpoint();
+  }
 
-  // 1) Collect ids
-  const ids = [];
-  const seen = new Set();
-  for (let p = 1; p <= IMDB_PAGES_MAX; p++) {
-    const html = await fetchImdbListPage(lsid, p);
-    if (!html) break;
-    const pageIds = extractTtIds(html);
-    const before = ids.length;
-    for (const tt of pageIds) {
-      if (seen.has(tt)) continue;
-      seen.add(tt);
-      ids.push(tt);
-      if (ids.length >= MAX_ITEMS) break;
+  // 2) Classify & enrich — only what the previous warm (or this one, before a restart) didn't decide
+  const prev = await readPreviousWarm(uid, lsid);
+  const incremental = !cp.full && Boolean(prev.decisions);
+  const overrides = opts.overrides || {};
+  const ovOf = (tt) => overrides[tt] ? JSON.stringify(overrides[tt]) : undefined;
+  const outcomes = new Map();
+  let reused = 0;
+  let resumed = 0;
+  for (const listItem of listItems) {
+    const { tt } = listItem;
+    const saved = cp.outcomes[tt];
+    if (saved && saved.d && saved.d.ov === ovOf(tt)) { outcomes.set(tt, saved); resumed++; continue; }
+    const d = incremental && prev.decisions[tt];
+    if (!d || d.ov !== ovOf(tt)) continue;
+    if (d.type === null) { outcomes.set(tt, { d, report: prev.report.get(tt) }); reused++; continue; }
+    const item = prev.items.get(`${d.type}:${d.id}`);
+    if (!item) continue;
+    const episode = d.parent ? (prev.episodes.get(tt) || await episodeEntry(tt, d.parent, item)) : undefined;
+    outcomes.set(tt, { d, item, report: prev.report.get(tt), episode });
+    reused++;
+  }
+  const pending = listItems.filter(it => !outcomes.has(it.tt));
+
+  // A list without a complete cache serves what's classified so far
+  const state = await readWarmState(uid, lsid);
+  const servePartial = !state || Boolean(state.partial);
+  async function writePartial() {
+    if (!servePartial) return;
+    const a = assemble(listItems, outcomes);
+    await writeCache(uid, lsid, 'movies', a.movies);
+    await writeCache(uid, lsid, 'series', a.series);
+    await writeJson(warmStatePath(uid, lsid), {
+      warmedAt: Date.now(),
+      partial: true,
+      counts: { movies: a.movies.length, series: a.series.length },
+      scanned: outcomes.size,
+      total: ids.length
+    });
+  }
+  if (resumed) await writePartial();
+
+  let classified = 0;
+  let failed = 0;
+  let sinceCheckpoint = 0;
+  for (const listItem of pending) {
+    const { tt, titleLabel } = listItem;
+    let r;
+    try {
+      r = await classifyAndFetch(tt, { titleLabel, override: overrides[tt], getMeta: opts.getMeta, resolvers: opts.resolvers });
+    } catch (err) {
+      failed++;
+      outcomes.set(tt, { d: null, report: reportEntry(tt, { reason: `error: ${err.message}` }, { titleLabel }) });
+      progress({ phase: 'classify', tt, type: null, classified, total: pending.length, error: err.message });
+      continue;
+    }
+    classified++;
+    progress({ phase: 'classify', tt, type: r && r.type, classified, total: pending.length });
+    const o = await outcomeOf(tt, r, listItem, ovOf(tt), origin);
+    // classifyTitle never throws: a failed lookup comes back unresolved
+    if (!o.d && r && r.reason === 'unresolved') failed++;
+    outcomes.set(tt, o);
+    if (o.d) cp.outcomes[tt] = o;
+    if (++sinceCheckpoint >= CHECKPOINT_EVERY) {
+      sinceCheckpoint = 0;
+      await saveCheckpoint();
+      await writePartial();
     }
-    if (ids.length >= MAX_ITEMS) break;
-    if (pageIds.length === 0) break;
-    if (ids.length === before) break;
   }
 
-  // 2) Classify & enrich
-  let idx = 1;
-  const movies = [];
-  const series = [];
-
-  for (const tt of ids) {
-    const r = await classifyAndFetch(tt, {});
-    if (!r || !r.type || !r.meta) continue;
-    const meta = r.meta;
-    const t = (r.type === 'series') ? 'series' : 'movie';
-    const { poster, posterShape } = pickPoster(meta, t, origin);
-    const background = pickBackground(meta, t, origin);
-    const logo = pickLogo(meta);
-
-    const item = {
-      id: meta.id || tt,
-      type: t,
-      name: meta.name || meta.title || meta.id || tt,
-      poster,
-      posterShape,
-      background,
-      logo,
-      imdbRating: Number(meta.imdbRating || meta.rating || 0) || undefined,
-      runtime: meta.runtime,
-      genres: meta.genres,
-      year: meta.year,
-      description: meta.description || meta.overview,
-      cast: meta.cast,
-      director: meta.director,
-      addedAt: idx++
-    };
-    if (t === 'movie') movies.push(item); else series.push(item);
+  // Every lookup failed (Cinemeta down/offline): keep the previous caches
+  if (pending.length && failed === pending.length) {
+    return { ok: false, lsid, error: 'classification failed for every item', scanned: ids.length };
   }
 
+  const { movies, series, report, mappedEpisodes, decisions } = assemble(listItems, outcomes);
+  const current = new Set(ids);
+  const previous = new Set(prev.ids);
+  const added = ids.filter(tt => !previous.has(tt));
+  const removed = prev.ids.filter(tt => !current.has(tt));
+  const changes = { mode: incremental ? 'incremental' : 'full', addedCount: added.length, removedCount: removed.length, classified, reused, resumed };
+
   await writeCache(uid, lsid, 'movies', movies);
   await writeCache(uid, lsid, 'series', series);
-
-  return { ok: true, lsid, counts: { movies: movies.length, series: series.length }, scanned: ids.length };
+  await writeFacets(path.join(CACHE_DIR, uid), lsid, computeFacets({ movies, series }));
+  await writeExclusionReport(path.join(CACHE_DIR, uid), lsid, report);
+  await writeEpisodeMap(path.join(CACHE_DIR, uid), lsid, mappedEpisodes);
+  await writeJson(idsPath(uid, lsid), { ids, updatedAt: new Date().toISOString(), fullAt: incremental ? prev.fullAt : Date.now(), decisions });
+  await appendChangeLog(uid, lsid, {
+    at: new Date().toISOString(),
+    ...changes,
+    added: added.slice(0, CHANGE_LOG_IDS_MAX),
+    removed: removed.slice(0, CHANGE_LOG_IDS_MAX)
+  });
+  await writeJson(warmStatePath(uid, lsid), {
+    warmedAt: Date.now(),
+    counts: { movies: movies.length, series: series.length },
+    scanned: ids.length
+  });
+  await removeDoc(checkpointPath(uid, lsid));
+
+  return {
+    ok: true,
+    lsid,
+    counts: { movies: movies.length, series: series.length },
+    scanned: ids.length,
+    changes,
+    source: scraped.strategy,
+    diagnostics: scraped.diagnostics
+  };
 }
@@ -0,0 +1,108 @@
+// lib/statelessConfig.js (ESM)
+// Stateless installs: a user's whole configuration packed into a URL-safe token that sits in
+// the manifest path (/<token>/manifest.json), so catalogs and metas need no user record.
+//
+// Token = "c" + version + "." + base64url(deflateRaw(JSON payload)). Version 1 payload:
+//   { l: [[id, name?, vis?, sort?, order?], ...] }
+//     id     source id (lib/listSources.js); uploaded csv- lists need server storage, so no
+//     name   display name, "" when it is the default one
+//     vis    bits: 1 movie home, 2 movie discover, 4 series home, 8 series discover (default 15)
+//     sort   default catalog sort ("Added", "Name", "Year", "Rating", "Runtime", "Your Rating")
+//     order  "d" for descending
+// Trailing defaults are dropped, so a plain list costs a dozen bytes before compression.
+
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import { isSourceId, sourceKind, defaultSourceName } from './listSources.js';
+
+export const TOKEN_VERSION = 1;
+const TOKEN_RE = /^c(\d+)\.([A-Za-z0-9_-]+)$/;
+const MAX_TOKEN_LEN = 8000;
+const MAX_JSON_BYTES = 64 * 1024;
+const MAX_LISTS = 100;
+const MAX_NAME_LEN = 120;
+
+const VIS_BITS = { movie: { home: 1, discover: 2 }, series: { home: 4, discover: 8 } };
+
+function visToBits(vis) {
+  let bits = 0;
+  for (const type of ['movie', 'series']) {
+    const v = (vis && vis[type]) || {};
+    if (v.home !== false) bits |= VIS_BITS[type].home;
+    if (v.discover !== false) bits |= VIS_BITS[type].discover;
+  }
+  return bits;
+}
+
+function bitsToVis(bits) {
+  const out = {};
+  for (const type of ['movie', 'series']) {
+    out[type] = { home: Boolean(bits & VIS_BITS[type].home), discover: Boolean(bits & VIS_BITS[type].discover) };
+  }
+  return out;
+}
+
+/** Cheap shape check, so routes can tell a token path segment from anything else. */
+export function looksLikeConfigToken(s) {
+  return TOKEN_RE.test(String(s || ''));
+}
+
+/**
+ * Token for { lists: [{ id, name?, visibility?, sort?, order? }] } (list entries as the
+ * configure API returns them). Throws on lists a token can't carry.
+ */
+export function encodeConfig({ lists = [] } = {}) {
+  if (!Array.isArray(lists)) throw new Error('lists must be an array');
+  if (lists.length > MAX_LISTS) throw new Error(`At most ${MAX_LISTS} lists fit in a stateless install`);
+  const l = lists.map(list => {
+    const id = String((list && (list.id || list.lsid)) || list || '').toLowerCase();
+    if (!isSourceId(id)) throw new Error(`Not a list id: ${id}`);
+    if (sourceKind(id) === 'csv') throw new Error('Uploaded CSV lists need a server-side user and cannot be used in stateless installs');
+    const name = String(list.name || list.title || '').trim().slice(0, MAX_NAME_LEN);
+    const row = [id, name === defaultSourceName(id) ? '' : name, visToBits(list.visibility), String(list.sort || ''), list.order === 'desc' ? 'd' : ''];
+    while (row.length > 1 && (row[row.length - 1] === '' || (row.length === 3 && row[2] === 15))) row.pop();
+    return row;
+  });
+  const packed = deflateRawSync(Buffer.from(JSON.stringify({ l }), 'utf8'), { level: 9 });
+  return `c${TOKEN_VERSION}.${packed.toString('base64url')}`;
+}
+
+/**
+ * { lists: [{ id, kind, name, visibility, sort?, order? }] } from a token. Throws on a
+ * malformed token, an unknown version or a payload that doesn't validate.
+ */
+export function decodeConfig(token) {
+  const s = String(token || '');
+  if (s.length > MAX_TOKEN_LEN) throw new Error('Config token too long');
+  const m = s.match(TOKEN_RE);
+  if (!m) throw new Error('Malformed config token');
+  if (Number(m[1]) !== TOKEN_VERSION) throw new Error(`Unsupported config token version ${m[1]}`);
+
+  let payload;
+  try {
+    const json = inflateRawSync(Buffer.from(m[2], 'base64url'), { maxOutputLength: MAX_JSON_BYTES });
+    payload = JSON.parse(json.toString('utf8'));
+  } catch {
+    throw new Error('Config token could not be decoded');
+  }
+  if (!payload || !Array.isArray(payload.l) || payload.l.length > MAX_LISTS) throw new Error('Config token has no valid list set');
+
+  const seen = new Set();
+  const lists = [];
+  for (const row of payload.l) {
+    if (!Array.isArray(row)) throw new Error('Config token has an invalid list entry');
+    const [id, name, vis = 15, sort, order] = row;
+    if (!isSourceId(id) || sourceKind(id) === 'csv') throw new Error(`Config token has an invalid list id: ${id}`);
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const list = {
+      id,
+      kind: sourceKind(id),
+      name: String(name || '').slice(0, MAX_NAME_LEN) || defaultSourceName(id),
+      visibility: bitsToVis(Number(vis) & 15)
+    };
+    if (sort) list.sort = String(sort);
+    if (order === 'd') list.order = 'desc';
+    lists.push(list);
+  }
+  return { lists };
+}
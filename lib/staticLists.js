@@ -0,0 +1,54 @@
+// lib/staticLists.js (ESM, Node 18+)
+// Static list sources: IMDb CSV exports (list, watchlist or ratings) uploaded by the user
+// instead of scraped. The parsed rows are stored per user and warmed like any scraped list.
+//
+// Stored at data/cache/<uid>/<id>-source.json:
+//   { id, name, uploadedAt, columns, items: [{ tt, position, addedAt, titleLabel, note?, userRating? }] }
+
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { readDoc, writeDoc, removeDoc } from './store.js';
+
+const CACHE_DIR = path.join(process.cwd(), 'data', 'cache');
+
+function sourcePath(uid, id) {
+  return path.join(CACHE_DIR, uid, `${id}-source.json`);
+}
+
+/** New id for an uploaded list, e.g. csv-3f9a0c12d4 */
+export function newStaticListId() {
+  return `csv-${randomBytes(5).toString('hex')}`;
+}
+
+export async function readStaticSource(uid, id) {
+  return readDoc(sourcePath(uid, id));
+}
+
+export async function writeStaticSource(uid, id, src) {
+  await writeDoc(sourcePath(uid, id), src);
+}
+
+export async function deleteStaticSource(uid, id) {
+  try { await removeDoc(sourcePath(uid, id)); } catch {}
+}
+
+/**
+ * Compare two uploads by tt.
+ * Returns { added: [tt], removed: [tt], moved: [tt], rerated: [tt], unchanged: n }
+ * (moved = position changed, rerated = "Your Rating" changed).
+ */
+export function diffStaticItems(prevItems = [], nextItems = []) {
+  const prev = new Map(prevItems.map(it => [it.tt, it]));
+  const next = new Map(nextItems.map(it => [it.tt, it]));
+  const out = { added: [], removed: [], moved: [], rerated: [], unchanged: 0 };
+  for (const [tt, it] of next) {
+    const old = prev.get(tt);
+    if (!old) { out.added.push(tt); continue; }
+    let same = true;
+    if ((old.position || null) !== (it.position || null)) { out.moved.push(tt); same = false; }
+    if ((old.userRating || null) !== (it.userRating || null)) { out.rerated.push(tt); same = false; }
+    if (same) out.unchanged++;
+  }
+  for (const tt of prev.keys()) if (!next.has(tt)) out.removed.push(tt);
+  return out;
+}
@@ -1,27 +1,24 @@
 import fs from 'fs';
 import path from 'path';
+import { readJsonOrBackup, writeFileAtomicSync } from './atomicWrite.js';
 
 const DATA_DIR = path.join(process.cwd(), 'data');
 const USERS_JSON = path.join(DATA_DIR, 'users.json');
 
 export function ensureStorage() {
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  if (!fs.existsSync(USERS_JSON)) fs.writeFileSync(USERS_JSON, JSON.stringify({}), 'utf8');
+  if (!fs.existsSync(USERS_JSON)) writeFileAtomicSync(USERS_JSON, JSON.stringify({}));
 }
 
+// A corrupt users.json is restored from users.json.bak or throws; never read as "no users"
 function readAll() {
   ensureStorage();
-  try {
-    const raw = fs.readFileSync(USERS_JSON, 'utf8');
-    return raw ? JSON.parse(raw) : {};
-  } catch (e) {
-    return {};
-  }
+  return readJsonOrBackup(USERS_JSON, {});
 }
 
 function writeAll(db) {
   ensureStorage();
-  fs.writeFileSync(USERS_JSON, JSON.stringify(db, null, 2), 'utf8');
+  writeFileAtomicSync(USERS_JSON, JSON.stringify(db, null, 2), { backup: true });
 }
 
 function normalizeListItem(x) {
@@ -37,6 +34,8 @@ function normalizeListItem(x) {
   if (x.title) out.title = x.title;
   if (x.name && !out.title) out.title = x.name;
   out.showIn = x.showIn || 'discover';
+  if (x.visibility && typeof x.visibility === 'object') out.visibility = x.visibility;
+  if (x.overrides && typeof x.overrides === 'object') out.overrides = x.overrides;
   return out;
 }
 
@@ -0,0 +1,117 @@
+// lib/store.js (ESM)
+// Where JSON documents under data/ really live: the user store (users/<uid>.json), per-list caches
+// and state (data/cache/<uid>/…) and the meta store (data/meta/…). Callers keep addressing
+// documents by the file paths they always used; the backend maps them to keys (the path
+// relative to data/, e.g. cache/u1/ls123-movies.json).
+//
+// STORAGE_BACKEND:
+//   fs      – those files, written atomically (lib/atomicWrite.js). Default.
+//   sqlite  – one table in STORAGE_SQLITE_PATH (default data/imdbstream.sqlite); needs the
+//             optional better-sqlite3 package (lib/storeSqlite.js)
+//   s3      – objects in an S3-compatible bucket: AWS S3, R2, MinIO… (lib/storeS3.js)
+// Paths outside data/ (custom IMDB_DATASET_DIR, scripts' own cacheRoot…) always stay on disk.
+//
+// A backend is { name, get(key) → text | null, put(key, text), del(key), list(prefix) → keys }.
+
+import { promises as fsp } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readJsonOrBackup, writeFileAtomic } from './atomicWrite.js';
+
+const ROOTS = [...new Set([
+  path.join(process.cwd(), 'data'),
+  path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data')
+])];
+const BACKEND = String(process.env.STORAGE_BACKEND || 'fs').trim().toLowerCase();
+
+let backendP = null;
+function backend() {
+  if (!backendP) {
+    backendP = (async () => {
+      if (BACKEND === 'sqlite') {
+        const { createSqliteBackend } = await import('./storeSqlite.js');
+        return createSqliteBackend({ file: process.env.STORAGE_SQLITE_PATH || path.join(ROOTS[0], 'imdbstream.sqlite') });
+      }
+      if (BACKEND === 's3') {
+        const { createS3Backend, s3ConfigFromEnv } = await import('./storeS3.js');
+        return createS3Backend(s3ConfigFromEnv());
+      }
+      if (BACKEND !== 'fs') throw new Error(`Unknown STORAGE_BACKEND "${BACKEND}" (use fs, sqlite or s3)`);
+      return null;
+    })();
+    backendP.catch(e => console.error(`❌ Storage backend "${BACKEND}" unavailable: ${e.message}`));
+  }
+  return backendP;
+}
+
+export function storageBackendName() {
+  return BACKEND;
+}
+
+// Key for a path under data/, or null for paths that stay on the local filesystem
+function keyOf(file) {
+  const abs = path.resolve(file);
+  for (const root of ROOTS) {
+    const rel = path.relative(root, abs);
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) return rel.split(path.sep).join('/');
+  }
+  return null;
+}
+
+async function remote(file) {
+  const key = keyOf(file);
+  if (!key) return null;
+  const b = await backend();
+  return b ? { b, key } : null;
+}
+
+/**
+ * Parsed document, or null when it doesn't exist. strict: a document that can't be parsed
+ * throws (fs: restored from its .bak first, see readJsonOrBackup) instead of reading as null.
+ */
+export async function readDoc(file, { strict = false } = {}) {
+  const r = await remote(file);
+  if (!r) {
+    if (strict) return readJsonOrBackup(file, null);
+    try { return JSON.parse(await fsp.readFile(file, 'utf8')); } catch { return null; }
+  }
+  let text;
+  try { text = await r.b.get(r.key); }
+  catch (e) {
+    if (strict) throw e;
+    return null;
+  }
+  if (text == null) return null;
+  try { return JSON.parse(text); }
+  catch (e) {
+    if (strict) throw new Error(`${r.b.name}:${r.key} is not valid JSON (${e.message})`);
+    return null;
+  }
+}
+
+/** opts: { pretty (default true), backup (fs only: keep the previous version as .bak) } */
+export async function writeDoc(file, value, { pretty = true, backup = false } = {}) {
+  const text = JSON.stringify(value, null, pretty ? 2 : 0);
+  const r = await remote(file);
+  if (!r) return writeFileAtomic(file, text, { backup });
+  await r.b.put(r.key, text);
+}
+
+export async function removeDoc(file) {
+  const r = await remote(file);
+  if (!r) return fsp.rm(file, { force: true });
+  await r.b.del(r.key);
+}
+
+/** Names of the .json documents directly in a directory (e.g. data/users), sorted. */
+export async function listDocs(dir) {
+  const r = await remote(path.join(dir, 'x'));
+  let names;
+  if (!r) {
+    try { names = await fsp.readdir(dir); } catch { return []; }
+  } else {
+    const prefix = r.key.slice(0, -1);
+    names = (await r.b.list(prefix)).map(k => k.slice(prefix.length)).filter(n => !n.includes('/'));
+  }
+  return names.filter(n => n.endsWith('.json')).sort();
+}
@@ -0,0 +1,136 @@
+// lib/storeS3.js (ESM, Node 18+)
+// S3-compatible storage backend (STORAGE_BACKEND=s3, see lib/store.js): one object per
+// document, signed with AWS Signature V4. No SDK needed.
+//
+// Env flags:
+//   S3_BUCKET (required), S3_REGION (default us-east-1), S3_PREFIX (default "", e.g. "imdbstream/")
+//   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY (fall back to AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY),
+//   S3_SESSION_TOKEN (or AWS_SESSION_TOKEN)
+//   S3_ENDPOINT  other providers or a local stand-in, e.g. http://127.0.0.1:9000 (MinIO);
+//                requests are then path-style (<endpoint>/<bucket>/<key>) unless S3_FORCE_PATH_STYLE=false
+
+import { createHash, createHmac } from 'crypto';
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 expects
+const encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+/**
+ * Sign a request with AWS Signature V4. Returns the headers to send (the given ones plus
+ * host, x-amz-date, x-amz-content-sha256, x-amz-security-token?, authorization).
+ */
+export function signRequest({ method, url, headers = {}, body = '', region, service = 's3', accessKeyId, secretAccessKey, sessionToken, now = new Date() }) {
+  const u = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const all = { ...headers, host: u.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+  if (sessionToken) all['x-amz-security-token'] = sessionToken;
+
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim().replace(/\s+/g, ' ')]));
+  const names = Object.keys(lower).sort();
+  const canonicalHeaders = names.map(n => `${n}:${lower[n]}\n`).join('');
+  const signedHeaders = names.join(';');
+  const canonicalQuery = [...u.searchParams.entries()]
+    .map(([k, v]) => [encode(k), encode(v)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+  const canonicalRequest = [method, u.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const kSigning = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = createHmac('sha256', kSigning).update(stringToSign).digest('hex');
+
+  return {
+    ...lower,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const unxml = (s) => s.replace(/&(amp|lt|gt|quot|apos|#\d+);/g, (_, e) => XML_ENTITIES[e] ?? String.fromCodePoint(Number(e.slice(1))));
+
+export function s3ConfigFromEnv(env = process.env) {
+  return {
+    bucket: env.S3_BUCKET,
+    region: env.S3_REGION || env.AWS_REGION || 'us-east-1',
+    prefix: env.S3_PREFIX || '',
+    endpoint: env.S3_ENDPOINT || '',
+    pathStyle: env.S3_FORCE_PATH_STYLE ? /^(1|true)$/i.test(env.S3_FORCE_PATH_STYLE) : Boolean(env.S3_ENDPOINT),
+    accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: env.S3_SESSION_TOKEN || env.AWS_SESSION_TOKEN
+  };
+}
+
+export function createS3Backend(cfg) {
+  if (!cfg.bucket) throw new Error('STORAGE_BACKEND=s3 needs S3_BUCKET');
+  if (!cfg.accessKeyId || !cfg.secretAccessKey) throw new Error('STORAGE_BACKEND=s3 needs S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+
+  const objectPath = (key) => `${cfg.prefix}${key}`.split('/').map(encode).join('/');
+  // Bucket URL, plus an (encoded) object path when given
+  function bucketUrl(p = '') {
+    const rest = p ? `/${p}` : '';
+    if (!cfg.endpoint) return `https://${cfg.bucket}.s3.${cfg.region}.amazonaws.com${rest || '/'}`;
+    const base = new URL(cfg.endpoint);
+    const root = base.pathname.replace(/\/+$/, '');
+    if (cfg.pathStyle) return `${base.origin}${root}/${encode(cfg.bucket)}${rest}`;
+    return `${base.protocol}//${cfg.bucket}.${base.host}${root}${rest || '/'}`;
+  }
+
+  // key null: the bucket itself (listing)
+  async function send(method, key, body = '', query = null) {
+    let url = bucketUrl(key == null ? '' : objectPath(key));
+    if (query) url += `?${Object.entries(query).map(([k, v]) => `${encode(k)}=${encode(v)}`).join('&')}`;
+    const headers = signRequest({
+      method,
+      url,
+      body,
+      headers: body ? { 'content-type': 'application/json' } : {},
+      region: cfg.region,
+      accessKeyId: cfg.accessKeyId,
+      secretAccessKey: cfg.secretAccessKey,
+      sessionToken: cfg.sessionToken
+    });
+    delete headers.host; // fetch sets it
+    return fetch(url, { method, headers, body: body || undefined });
+  }
+
+  return {
+    name: 's3',
+    async get(key) {
+      const r = await send('GET', key);
+      if (r.status === 404) return null;
+      if (!r.ok) throw new Error(`S3 GET ${key}: HTTP ${r.status}`);
+      return r.text();
+    },
+    async put(key, text) {
+      const r = await send('PUT', key, text);
+      if (!r.ok) throw new Error(`S3 PUT ${key}: HTTP ${r.status} ${(await r.text()).slice(0, 200)}`);
+    },
+    async del(key) {
+      const r = await send('DELETE', key);
+      if (!r.ok && r.status !== 404) throw new Error(`S3 DELETE ${key}: HTTP ${r.status}`);
+    },
+    // ListObjectsV2 on the bucket, page by page
+    async list(prefix) {
+      const keys = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix: `${cfg.prefix}${prefix}` };
+        if (token) query['continuation-token'] = token;
+        const r = await send('GET', null, '', query);
+        if (!r.ok) throw new Error(`S3 LIST ${prefix}: HTTP ${r.status}`);
+        const xml = await r.text();
+        for (const m of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) keys.push(unxml(m[1]).slice(cfg.prefix.length));
+        const next = /<IsTruncated>true<\/IsTruncated>/.test(xml) && xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+        token = next ? unxml(next[1]) : null;
+      } while (token);
+      return keys;
+    }
+  };
+}
@@ -0,0 +1,43 @@
+// lib/storeSqlite.js (ESM)
+// SQLite storage backend (STORAGE_BACKEND=sqlite, see lib/store.js): every document is a row
+// in one docs table. Uses the optional better-sqlite3 package, loaded only when selected.
+
+import fs from 'fs';
+import path from 'path';
+
+export async function createSqliteBackend({ file }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec('CREATE TABLE IF NOT EXISTS docs (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)');
+  const getStmt = db.prepare('SELECT value FROM docs WHERE key = ?');
+  const putStmt = db.prepare(
+    'INSERT INTO docs (key, value, updated_at) VALUES (?, ?, ?) ' +
+    'ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+  );
+  const delStmt = db.prepare('DELETE FROM docs WHERE key = ?');
+  const listStmt = db.prepare("SELECT key FROM docs WHERE substr(key, 1, ?) = ? ORDER BY key");
+
+  return {
+    name: 'sqlite',
+    async get(key) {
+      const row = getStmt.get(key);
+      return row ? row.value : null;
+    },
+    async put(key, text) {
+      putStmt.run(key, text, Date.now());
+    },
+    async del(key) {
+      delStmt.run(key);
+    },
+    async list(prefix) {
+      return listStmt.all(prefix.length, prefix).map(row => row.key);
+    }
+  };
+}
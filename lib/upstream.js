@@ -0,0 +1,192 @@
+// lib/upstream.js (ESM, Node 18+)
+// One client for every call to Cinemeta and IMDb, shared by warms, the real-time catalog
+// path and the meta route:
+//   - identical in-flight GETs (same URL + accept header) share one request
+//   - per-host concurrency and requests-per-second budgets
+//   - 429/5xx and network errors are retried with jittered exponential backoff,
+//     honoring Retry-After
+//   - a per-host circuit breaker: after BREAKER_THRESHOLD failed requests in a row the host
+//     is skipped (UpstreamError, no request made) for BREAKER_COOLDOWN_MS, then one trial
+//     request decides whether it closes again
+//
+// fetchUpstream(url, { headers }) resolves to a buffered { ok, status, headers, text }
+// (buffered so coalesced callers can all read the body) and rejects with UpstreamError when
+// no response could be had. A final 429/5xx after the retries resolves normally with ok false.
+//
+// Env flags:
+//   UPSTREAM_CONCURRENCY   (default 4) in-flight requests per host
+//   UPSTREAM_RPS           (default 8) request starts per second per host
+//   UPSTREAM_HOST_LIMITS   per-host overrides, e.g. "www.imdb.com=2:2,v3-cinemeta.strem.io=8:20" (concurrency:rps)
+//   UPSTREAM_RETRIES       (default 3) retries after the first attempt
+//   UPSTREAM_TIMEOUT_MS    (default 15000) per attempt
+//   UPSTREAM_BREAKER_THRESHOLD (default 5), UPSTREAM_BREAKER_COOLDOWN_MS (default 30000)
+
+const CONCURRENCY = Math.max(1, Number(process.env.UPSTREAM_CONCURRENCY || 4));
+const RPS = Math.max(0.1, Number(process.env.UPSTREAM_RPS || 8));
+const RETRIES = Math.max(0, Number(process.env.UPSTREAM_RETRIES ?? 3));
+const TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS || 15000);
+const BREAKER_THRESHOLD = Math.max(1, Number(process.env.UPSTREAM_BREAKER_THRESHOLD || 5));
+const BREAKER_COOLDOWN_MS = Number(process.env.UPSTREAM_BREAKER_COOLDOWN_MS || 30000);
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 30000;
+
+export class UpstreamError extends Error {
+  constructor(message, { host, status = null, cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.host = host;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+function parseHostLimits(raw) {
+  const out = new Map();
+  for (const part of String(raw || '').split(',')) {
+    const m = part.trim().match(/^([^=\s]+)=(\d+)(?::(\d+(?:\.\d+)?))?$/);
+    if (m) out.set(m[1].toLowerCase(), { concurrency: Number(m[2]), rps: m[3] ? Number(m[3]) : RPS });
+  }
+  return out;
+}
+const HOST_LIMITS = parseHostLimits(process.env.UPSTREAM_HOST_LIMITS);
+
+const hosts = new Map();    // host -> state
+const inflight = new Map(); // coalescing key -> promise
+
+function hostState(host) {
+  if (!hosts.has(host)) {
+    const limits = HOST_LIMITS.get(host) || { concurrency: CONCURRENCY, rps: RPS };
+    hosts.set(host, {
+      concurrency: Math.max(1, limits.concurrency),
+      interval: 1000 / Math.max(0.1, limits.rps),
+      active: 0,
+      waiting: [],       // resolvers for a free slot, FIFO
+      nextStartAt: 0,    // rps spacing
+      failures: 0,       // consecutive failed requests
+      openUntil: 0,      // breaker open until (ms)
+      trial: false,      // half-open trial request in flight
+      stats: { requests: 0, retries: 0, coalesced: 0, failures: 0, rejected: 0 }
+    });
+  }
+  return hosts.get(host);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+async function acquire(h) {
+  if (h.active >= h.concurrency) await new Promise(r => h.waiting.push(r));
+  h.active++;
+  const wait = h.nextStartAt - Date.now();
+  h.nextStartAt = Math.max(Date.now(), h.nextStartAt) + h.interval;
+  if (wait > 0) await sleep(wait);
+}
+
+function release(h) {
+  h.active--;
+  const next = h.waiting.shift();
+  if (next) next();
+}
+
+// Retry-After as seconds or an HTTP date; null when absent/unparseable
+function retryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function backoffMs(attempt, retryAfter) {
+  if (retryAfter != null) return Math.min(BACKOFF_MAX_MS, retryAfter + Math.random() * 250);
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt); // full jitter
+}
+
+const retryable = (status) => status === 429 || status >= 500;
+
+function checkBreaker(h, host) {
+  if (!h.openUntil) return;
+  if (Date.now() < h.openUntil || h.trial) {
+    h.stats.rejected++;
+    throw new UpstreamError(`${host}: circuit open`, { host });
+  }
+  h.trial = true; // half-open: this request decides
+}
+
+function settleBreaker(h, host, failed) {
+  h.trial = false;
+  if (!failed) { h.failures = 0; h.openUntil = 0; return; }
+  h.stats.failures++;
+  if (++h.failures >= BREAKER_THRESHOLD || h.openUntil) {
+    if (!h.openUntil || Date.now() >= h.openUntil) console.warn(`⚠️  ${host} keeps failing; pausing requests for ${Math.round(BREAKER_COOLDOWN_MS / 1000)}s`);
+    h.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+  }
+}
+
+async function attempt(url, init) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), TIMEOUT_MS);
+  try {
+    const r = await fetch(url, { ...init, signal: ctrl.signal });
+    const text = await r.text();
+    return { ok: r.ok, status: r.status, headers: Object.fromEntries(r.headers), text };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function request(url, init, host) {
+  const h = hostState(host);
+  checkBreaker(h, host);
+  let res = null;
+  let lastErr = null;
+  for (let i = 0; i <= RETRIES; i++) {
+    if (i > 0) {
+      h.stats.retries++;
+      await sleep(backoffMs(i - 1, res && retryAfterMs(res.headers['retry-after'])));
+    }
+    await acquire(h);
+    h.stats.requests++;
+    try {
+      res = await attempt(url, init);
+      lastErr = null;
+    } catch (e) {
+      res = null;
+      lastErr = e;
+    } finally {
+      release(h);
+    }
+    if (res && !retryable(res.status)) break;
+  }
+  settleBreaker(h, host, !res || retryable(res.status));
+  if (!res) throw new UpstreamError(`${host}: ${lastErr && lastErr.message || 'request failed'}`, { host, cause: lastErr });
+  return res;
+}
+
+export function fetchUpstream(url, { headers = {} } = {}) {
+  let host;
+  try { host = new URL(url).host.toLowerCase(); }
+  catch { return Promise.reject(new UpstreamError(`Invalid URL: ${url}`, {})); }
+  const accept = headers.accept || headers.Accept || '';
+  const key = `${accept} ${url}`;
+  if (inflight.has(key)) {
+    hostState(host).stats.coalesced++;
+    return inflight.get(key);
+  }
+  const p = request(url, { method: 'GET', headers }, host).finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+/** Per-host counters and breaker state, for diagnostics. */
+export function upstreamStats() {
+  const out = {};
+  for (const [host, h] of hosts) {
+    out[host] = {
+      ...h.stats,
+      active: h.active,
+      queued: h.waiting.length,
+      breaker: h.openUntil ? (Date.now() < h.openUntil ? 'open' : 'half-open') : 'closed'
+    };
+  }
+  return out;
+}
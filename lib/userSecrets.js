@@ -0,0 +1,58 @@
+// lib/userSecrets.js (ESM)
+// Who may change a user's configuration. /configure mints a secret, shown once, and a uid
+// derived from it (uidForSecret), and stores nothing: the user record is created by the first
+// write that proves the secret, so visits that never add a list leave no trace. The user's
+// document keeps only the secret's SHA-256 (secretHash). Writes to /api/user/:uid/* must send
+// the secret in the x-user-secret header. Manifest, catalog and meta URLs never need it.
+//
+// Users from before secrets existed have no secretHash and stay read-only until the operator
+// issues one (POST /admin/users/:uid/secret, lib/adminRoutes.mjs).
+
+import { randomBytes, createHash, timingSafeEqual } from 'crypto';
+
+export const SECRET_HEADER = 'x-user-secret';
+
+export function newSecret() {
+  return randomBytes(24).toString('base64url');
+}
+
+// Hex only: uids end up in catalog ids, cache paths and cookies. One-way, so a uid (which is
+// in every manifest URL) gives nothing away about its secret.
+export function uidForSecret(secret) {
+  return `u${createHash('sha256').update(`uid:${secret}`, 'utf8').digest('hex').slice(0, 24)}`;
+}
+
+/** { uid, secret } for a new user; nothing is stored until its first write. */
+export function mintUser() {
+  const secret = newSecret();
+  return { uid: uidForSecret(secret), secret };
+}
+
+// Shape of minted uids, so /configure can tell a not-yet-saved user from a mistyped uid
+export function isMintedUid(uid) {
+  return /^u[0-9a-f]{24}$/.test(String(uid || ''));
+}
+
+// Secrets are 192 random bits, so a plain hash is enough (no salt/KDF needed)
+export function hashSecret(secret) {
+  return createHash('sha256').update(String(secret), 'utf8').digest('hex');
+}
+
+export function isClaimed(user) {
+  return Boolean(user && user.secretHash);
+}
+
+/** A write by a user not stored yet: the secret must be the one its uid was derived from. */
+export function secretMintsUid(uid, secret) {
+  if (!secret || !isMintedUid(uid)) return false;
+  const a = Buffer.from(uidForSecret(secret));
+  const b = Buffer.from(String(uid));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function secretMatches(user, secret) {
+  if (!isClaimed(user) || !secret) return false;
+  const a = Buffer.from(hashSecret(secret), 'hex');
+  const b = Buffer.from(String(user.secretHash), 'hex');
+  return a.length === b.length && timingSafeEqual(a, b);
+}
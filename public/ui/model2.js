@@ -1,46 +1,151 @@
 
 (() => {
   const qs = new URLSearchParams(location.search);
-  const uid = qs.get('uid') || 'default';
+  const uid = qs.get('uid') || '';
   const $ = (q, p=document) => p.querySelector(q);
   const listsEl = $('#lists');
   const addInput = $('#add-input');
   const addBtn = $('#add-btn');
+  const uploadBtn = $('#upload-btn');
+  const uploadFile = $('#upload-file');
   const installStremio = $('#install-stremio');
   const installWeb = $('#install-web');
+  const secretNote = $('#secret-note');
+
+  // The uid's secret (x-user-secret on every write). /configure hands a new one over once in
+  // the URL fragment; it's kept in localStorage and dropped from the address bar.
+  const SECRET_KEY = 'imdbstream-secret:' + uid;
+  function userSecret(){ try { return localStorage.getItem(SECRET_KEY) || ''; } catch { return ''; } }
+  function keepSecret(secret){
+    try { localStorage.setItem(SECRET_KEY, secret); } catch {}
+    const link = `${location.origin}/configure?uid=${encodeURIComponent(uid)}#secret=${encodeURIComponent(secret)}`;
+    secretNote.hidden = false;
+    secretNote.innerHTML = `Bookmark your private edit link to change these lists from another browser. It is only shown now:<br><code></code>`;
+    secretNote.querySelector('code').textContent = link;
+  }
+  (function takeSecretFromUrl(){
+    const h = new URLSearchParams(location.hash.slice(1));
+    if (!uid || !h.get('secret')) return;
+    keepSecret(h.get('secret'));
+    history.replaceState(null, '', location.pathname + location.search);
+  })();
+
+  // Stateless installs (?config=<token>, ?stateless=1 or a STATELESS_MODE server): the lists live
+  // in this page and the manifest URL (/<token>/manifest.json); nothing is stored server-side.
+  let stateless = qs.has('config') || qs.has('stateless');
+  let configToken = qs.get('config') || '';
+  let localLists = [];
 
   const origin = window.location.origin;
   const hostNoScheme = window.location.host;
-  function buildManifestURL() {
-    const params = new URLSearchParams({ uid });
-    return origin + '/manifest.json?' + params.toString();
+  function manifestPath() {
+    if (stateless) return configToken ? '/' + configToken + '/manifest.json' : '';
+    return '/manifest.json?' + new URLSearchParams({ uid }).toString();
+  }
+  function wireInstall(){
+    const p = manifestPath();
+    installStremio.href = p ? 'stremio://' + hostNoScheme + p : '#';
+    installWeb.href = p ? origin + p : '#';
   }
-  (function wireInstall(){
-    const url = buildManifestURL();
-    const q = url.split('?')[1] || '';
-    installStremio.href = 'stremio://' + hostNoScheme + '/manifest.json?' + q;
-    installWeb.href = url;
-  })();
 
   function api(path, init){
-    return fetch(path, { headers: { 'content-type': 'application/json' }, ...init })
-      .then(async r => { const j = await r.json().catch(()=>({})); if (!r.ok) throw Object.assign(new Error('HTTP '+r.status), { response:j }); return j; });
+    const headers = { 'content-type': 'application/json' };
+    if (uid && path.startsWith('/api/user/')) headers['x-user-secret'] = userSecret();
+    return fetch(path, { headers, ...init })
+      .then(async r => {
+        const j = await r.json().catch(()=>({}));
+        // A user from before secrets existed: only the server operator can issue its edit link
+        if (r.status === 403 && j.unclaimed) {
+          secretNote.hidden = false;
+          secretNote.textContent = 'These lists have no private edit link yet. Ask the server operator for one to change them.';
+        }
+        if (!r.ok) throw Object.assign(new Error('HTTP '+r.status), { response:j });
+        return j;
+      });
   }
 
+  // Re-pack the stateless configuration into a token and put it in the page URL and install links
+  async function saveStateless(){
+    if (localLists.length) {
+      const r = await api('/api/config/encode', { method: 'POST', body: JSON.stringify({ lists: localLists }) });
+      configToken = r.token;
+    } else {
+      configToken = '';
+    }
+    history.replaceState(null, '', '/configure?' + (configToken ? 'config=' + configToken : 'stateless=1'));
+    wireInstall();
+  }
+
+  // List store: the uid's server-side record, or localLists in stateless mode
+  const store = {
+    async lists(){
+      return stateless ? localLists : api(`/api/user/${encodeURIComponent(uid)}/lists`);
+    },
+    async add(src){
+      if (!stateless) return api(`/api/user/${encodeURIComponent(uid)}/lists`, { method: 'POST', body: JSON.stringify({ src }) });
+      const r = await api('/api/config/resolve', { method: 'POST', body: JSON.stringify({ src }) });
+      if (!localLists.some(l => l.id === r.id)) localLists.push({ id: r.id, kind: r.kind, name: r.name });
+      await saveStateless();
+      return r;
+    },
+    async update(lsid, patch){
+      if (!stateless) return api(`/api/user/${encodeURIComponent(uid)}/lists/${encodeURIComponent(lsid)}`, { method: 'PATCH', body: JSON.stringify(patch) });
+      localLists = localLists.map(l => (l.id === lsid ? { ...l, ...patch } : l));
+      await saveStateless();
+    },
+    async remove(lsid){
+      if (!stateless) return api(`/api/user/${encodeURIComponent(uid)}/lists/${encodeURIComponent(lsid)}`, { method: 'DELETE' });
+      localLists = localLists.filter(l => l.id !== lsid);
+      await saveStateless();
+    }
+  };
+
   async function load(){
-    const arr = await api(`/api/user/${encodeURIComponent(uid)}/lists`);
+    const arr = await store.lists();
     render(arr || []);
+
+    if (stateless) {
+      if (configToken) api('/api/config/preload', { method: 'POST', body: JSON.stringify({ token: configToken }) })
+        .catch(e => console.warn('Preload failed:', e));
+      return;
+    }
     
     // Trigger preloading for faster addon installation
     if (arr && arr.length > 0) {
+      watchJobs();
       api(`/api/user/${encodeURIComponent(uid)}/preload`, { method: 'POST' })
         .catch(e => console.warn('Preload failed:', e));
     }
   }
 
+  // Live warm progress per list card (server-sent events)
+  let jobStream = null;
+  function jobText(job){
+    if (job.state === 'queued') return 'Queued for warming…';
+    if (job.state === 'running') {
+      if (job.phase === 'classify' && job.total) return `Classifying ${job.classified}/${job.total}…`;
+      return `Scanning list… ${job.scanned} titles`;
+    }
+    if (job.state === 'done' && job.result && job.result.counts) return `Cached ${job.result.counts.movies} movies, ${job.result.counts.series} series`;
+    if (job.state === 'failed') return 'Warming failed' + (job.errors.length ? `: ${job.errors[job.errors.length-1].error}` : '');
+    return '';
+  }
+  function showJob(job){
+    const el = listsEl.querySelector(`.jobStatus[data-lsid="${CSS.escape(job.lsid)}"]`);
+    if (el) el.textContent = jobText(job);
+  }
+  function watchJobs(){
+    if (jobStream || !window.EventSource) return;
+    jobStream = new EventSource(`/api/user/${encodeURIComponent(uid)}/jobs/stream`);
+    jobStream.addEventListener('snapshot', e => { JSON.parse(e.data).slice().reverse().forEach(showJob); });
+    ['queued','started','progress','done','failed'].forEach(t =>
+      jobStream.addEventListener(t, e => showJob(JSON.parse(e.data).job)));
+  }
+
   function visFromList(list){
+    // Legacy showIn (see resolveVisibility in visibility-gate.mjs): the old 'discover' default means both
     const legacy = (list.showIn || 'discover').toLowerCase();
-    const base = { discover: legacy==='discover'||legacy==='both', home: legacy==='home'||legacy==='both' };
+    const base = legacy === 'hidden' ? { discover: false, home: false } : { discover: legacy !== 'home', home: true };
     const mv = (list.visibility && list.visibility.movie)  || base;
     const sv = (list.visibility && list.visibility.series) || base;
     return { movie: { discover: !!mv.discover, home: !!mv.home },
@@ -55,7 +160,7 @@
     if (!lists.length){
       const empty = document.createElement('div');
       empty.className = 'placeholder';
-      empty.textContent = 'No lists yet. Paste an IMDb list URL above and click Add.';
+      empty.textContent = 'No lists yet. Paste an IMDb list, watchlist or ratings URL above and click Add.';
       listsEl.appendChild(empty);
       return;
     }
@@ -70,8 +175,9 @@
 
       const head = document.createElement('div');
       head.className = 'listHead';
-      head.innerHTML = `<div><div class="listTitle">${escapeHtml(title)}</div><div class="listSub">List ID: ${lsid}</div></div>
-                        <button class="btn danger btn-del" title="Remove list">Delete</button>`;
+      const isUpload = lsid.startsWith('csv-');
+      head.innerHTML = `<div><div class="listTitle">${escapeHtml(title)}</div><div class="listSub">${isUpload ? 'Uploaded CSV' : lsid.startsWith('ur') ? 'Source' : 'List ID'}: ${lsid}</div><div class="listSub jobStatus" data-lsid="${escapeHtml(lsid)}"></div></div>
+                        <div>${isUpload ? '<button class="btn secondary btn-reupload" title="Replace with a newer export">Re-upload</button> ' : ''}${stateless ? '' : '<button class="btn ghost btn-review" title="Excluded and uncertain titles">Review</button> '}<button class="btn danger btn-del" title="Remove list">Delete</button></div>`;
       card.appendChild(head);
 
       const rows = document.createElement('div');
@@ -98,14 +204,26 @@
       rows.appendChild(sRow); rows.appendChild(mRow);
       card.appendChild(rows);
 
+      // Default catalog order (Stremio's Sort/Order extras still override it)
+      const sortRow = document.createElement('div');
+      sortRow.className = 'reviewRow';
+      const sortOpts = ['', ...SORT_OPTIONS, ...(lsid.endsWith('-ratings') ? ['Your Rating'] : [])];
+      sortRow.innerHTML = `<span class="sectionHdr">Default order</span>
+        <select class="sortSel">${sortOpts.map(o => `<option value="${o}"${(list.sort || '') === o ? ' selected' : ''}>${o || 'List order'}</option>`).join('')}</select>
+        <select class="orderSel"><option value="asc">Ascending</option><option value="desc"${list.order === 'desc' ? ' selected' : ''}>Descending</option></select>`;
+      const sortSel = sortRow.querySelector('.sortSel');
+      const orderSel = sortRow.querySelector('.orderSel');
+      [sortSel, orderSel].forEach(sel => sel.addEventListener('change', () => {
+        store.update(lsid, { sort: sortSel.value, order: orderSel.value }).catch(e => console.warn('Sort update failed', e));
+      }));
+      card.appendChild(sortRow);
+
       function sendVisibility(){
         const payload = { visibility: {
           movie:  { home: mHome.classList.contains('on'),  discover: mDisc.classList.contains('on') },
           series: { home: sHome.classList.contains('on'),  discover: sDisc.classList.contains('on') }
         }};
-        api(`/api/user/${encodeURIComponent(uid)}/lists/${encodeURIComponent(lsid)}`, {
-          method: 'PATCH', body: JSON.stringify(payload)
-        }).catch(e=>console.warn('PATCH failed', e));
+        store.update(lsid, payload).catch(e=>console.warn('PATCH failed', e));
       }
 
       [sHome,sDisc,mHome,mDisc].forEach(sw => {
@@ -118,14 +236,70 @@
 
       head.querySelector('.btn-del').addEventListener('click', async () => {
         if (!confirm(`Remove list “${title}”?`)) return;
-        try { await api(`/api/user/${encodeURIComponent(uid)}/lists/${encodeURIComponent(lsid)}`, { method: 'DELETE' }); load(); }
+        try { await store.remove(lsid); load(); }
         catch(e){ console.warn('DELETE failed', e); }
       });
 
+      if (isUpload) head.querySelector('.btn-reupload').addEventListener('click', () => pickCsv(lsid));
+
+      if (!stateless) {
+        const review = document.createElement('div');
+        review.className = 'review';
+        review.hidden = true;
+        card.appendChild(review);
+        head.querySelector('.btn-review').addEventListener('click', () => {
+          review.hidden = !review.hidden;
+          if (!review.hidden) renderReview(review, lsid);
+        });
+      }
+
       listsEl.appendChild(card);
     });
   }
 
+  const SORT_OPTIONS = ['Added', 'Name', 'Year', 'Rating', 'Runtime'];
+
+  // Exclusion report + per-title overrides (force movie/series, map episode to a series, hide)
+  const OVERRIDE_OPTIONS = [['', 'Auto'], ['movie', 'Movie'], ['series', 'Series'], ['map', 'Map to series…'], ['hide', 'Hide']];
+  async function renderReview(el, lsid){
+    const base = `/api/user/${encodeURIComponent(uid)}/lists/${encodeURIComponent(lsid)}`;
+    el.textContent = 'Loading…';
+    let rep;
+    try { rep = await api(`${base}/excluded`); }
+    catch(e){ el.textContent = 'Could not load the exclusion report.'; return; }
+
+    const overrides = rep.overrides || {};
+    const rows = (rep.items || []).slice();
+    for (const tt of Object.keys(overrides)) {
+      if (!rows.some(r => r.tt === tt)) rows.push({ tt, status: 'overridden', reason: 'manual override' });
+    }
+    if (!rows.length){ el.textContent = rep.updatedAt ? 'Nothing excluded or uncertain in the last warm.' : 'No report yet: the list has not been warmed.'; return; }
+
+    el.innerHTML = '';
+    rows.forEach(r => {
+      const o = overrides[r.tt] || {};
+      const row = document.createElement('div');
+      row.className = 'reviewRow';
+      row.innerHTML = `<a href="https://www.imdb.com/title/${escapeHtml(r.tt)}/" target="_blank" rel="noopener">${escapeHtml(r.tt)}</a>
+        <span class="listSub">${escapeHtml(r.status)} · ${escapeHtml(r.reason || '')}${r.titleLabel ? ' · ' + escapeHtml(r.titleLabel) : ''}</span>
+        <select>${OVERRIDE_OPTIONS.map(([v, l]) => `<option value="${v}"${(o.action || '') === v ? ' selected' : ''}>${l}</option>`).join('')}</select>
+        <input class="mapTo" placeholder="tt… series" value="${escapeHtml(o.series || '')}"${o.action === 'map' ? '' : ' hidden'} />
+        <button class="btn secondary">Save</button>`;
+      const sel = row.querySelector('select');
+      const mapTo = row.querySelector('.mapTo');
+      sel.addEventListener('change', () => { mapTo.hidden = sel.value !== 'map'; });
+      row.querySelector('button').addEventListener('click', async () => {
+        const path = `${base}/overrides/${encodeURIComponent(r.tt)}`;
+        try {
+          if (!sel.value) await api(path, { method: 'DELETE' });
+          else await api(path, { method: 'PUT', body: JSON.stringify({ action: sel.value, series: mapTo.value.trim() }) });
+          row.querySelector('.listSub').textContent = 'Saved. Rewarming…';
+        } catch(e){ alert('Override failed: ' + (e.response && e.response.error ? e.response.error : e.message)); }
+      });
+      el.appendChild(row);
+    });
+  }
+
   function escapeHtml(s){
     return String(s).replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[c]));
   }
@@ -135,7 +309,7 @@
     if (!v) return;
     addBtn.disabled = true;
     try {
-      const res = await api(`/api/user/${encodeURIComponent(uid)}/lists`, { method: 'POST', body: JSON.stringify({ src: v }) });
+      const res = await store.add(v);
       if (res && res.id) addInput.value = '';
       await load();
     } catch(e){ alert('Add failed: ' + (e.response && e.response.error ? e.response.error : e.message)); }
@@ -143,5 +317,46 @@
   });
   addInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') addBtn.click(); });
 
-  load();
+  // CSV upload: new list, or re-upload over an existing one (previewed as a diff first)
+  let uploadTarget = null;
+  function pickCsv(id){ uploadTarget = id || null; uploadFile.value = ''; uploadFile.click(); }
+  function diffText(d){
+    return `${d.added.length} added, ${d.removed.length} removed, ${d.moved.length} moved, ${d.rerated.length} re-rated, ${d.unchanged} unchanged`;
+  }
+  uploadBtn.addEventListener('click', () => pickCsv(null));
+  uploadFile.addEventListener('change', async () => {
+    const file = uploadFile.files && uploadFile.files[0];
+    if (!file) return;
+    uploadBtn.disabled = true;
+    try {
+      const csv = await file.text();
+      const path = `/api/user/${encodeURIComponent(uid)}/lists/upload`;
+      if (uploadTarget) {
+        const preview = await api(path, { method: 'POST', body: JSON.stringify({ csv, id: uploadTarget, dryRun: true }) });
+        if (!confirm(`Replace this list? ${diffText(preview.diff)}.`)) return;
+        await api(path, { method: 'POST', body: JSON.stringify({ csv, id: uploadTarget }) });
+      } else {
+        await api(path, { method: 'POST', body: JSON.stringify({ csv, name: file.name.replace(/\.csv$/i, '') }) });
+      }
+      await load();
+    } catch(e){ alert('Upload failed: ' + (e.response && e.response.error ? e.response.error : e.message)); }
+    finally { uploadBtn.disabled = false; }
+  });
+
+  // Uploaded CSVs are stored per uid, so stateless installs can't use them
+  async function init(){
+    if (!stateless && !qs.has('uid')) {
+      try { stateless = Boolean((await api('/api/config')).stateless); } catch {}
+    }
+    if (stateless) {
+      uploadBtn.hidden = true;
+      if (configToken) {
+        try { localLists = (await api(`/api/config/decode?token=${encodeURIComponent(configToken)}`)).lists || []; }
+        catch(e){ alert('This configuration link is invalid: ' + (e.response && e.response.error ? e.response.error : e.message)); configToken = ''; }
+      }
+    }
+    wireInstall();
+    load();
+  }
+  init();
 })();
\ No newline at end of file
@@ -6,8 +6,8 @@
 import { mkdir, writeFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import process from 'node:process';
+import { classifyTitle } from '../lib/classifyEngine.mjs';
 
-const CINEMETA = process.env.CINEMETA_BASE || 'https://v3-cinemeta.strem.io';
 const CONCURRENCY = Number(process.env.CLASSIFY_CONCURRENCY || 8);
 const DEBUG = (process.env.DEBUG || '').toLowerCase() === 'true';
 
@@ -19,18 +19,6 @@ async function getJSON(url) {
   catch (e) { throw new Error(`Invalid JSON from ${url}: ${e.message}`); }
 }
 
-async function tryCinemeta(tt, type) {
-  const url = `${CINEMETA}/meta/${type}/${tt}.json`;
-  const res = await fetch(url, { headers: { 'accept': 'application/json' } });
-  if (res.ok) {
-    try {
-      const data = await res.json();
-      if (data && data.meta && data.meta.id) return data.meta;
-    } catch {}
-  }
-  return null;
-}
-
 function toMeta(meta, forcedType) {
   if (!meta) return null;
   const out = {
@@ -98,15 +86,9 @@ async function main() {
   if (DEBUG) console.log(`Classifying ${ids.length} ids from ${lsid} ...`);
 
   const results = await pool(ids, CONCURRENCY, async (tt) => {
-    const movie = await tryCinemeta(tt, 'movie');
-    const series = await tryCinemeta(tt, 'series');
-
-    if (DEBUG) console.log(`tt=${tt} movie=${movie ? 'Y' : 'N'} series=${series ? 'Y' : 'N'}`);
-
-    if (movie && !series) return { tt, type: 'movie', meta: movie };
-    if (!movie && series) return { tt, type: 'series', meta: series };
-    if (movie && series) return { tt, type: 'series', meta: series }; // prefer series
-    return { tt, type: 'exclude', meta: null };
+    const d = await classifyTitle(tt);
+    if (DEBUG) console.log(`tt=${tt} → ${d.type} (${d.reason}, confidence ${d.confidence})`);
+    return { tt, type: d.type, meta: d.meta };
   });
 
   const movies = [];
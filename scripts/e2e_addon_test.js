@@ -11,6 +11,7 @@
 // Exit codes: 0 success, 2 on assertion failure.
 import fetch from 'node-fetch';
 import path from 'node:path';
+import { decodeCatalogId } from '../lib/catalogIds.js';
 
 const args = process.argv.slice(2);
 if (args.length < 2) {
@@ -74,6 +75,15 @@ async function showCache(lsid, type){
   return r.body;
 }
 
+// Manifest catalog id for a list (or ALL) and type; ids are versioned, see lib/catalogIds.js
+function findCatalogId(manifest, sourceId, type){
+  const hit = ((manifest && manifest.catalogs) || []).find(c => {
+    const d = decodeCatalogId(c.id);
+    return d && d.sourceId === sourceId && d.type === type;
+  });
+  return hit ? hit.id : null;
+}
+
 async function catalog(type, id, extras=''){
   const r = await fetch(url(`/catalog/${type}/${id}.json${extras ? ('?' + extras) : ''}`));
   assert(r.status === 200, 'catalog fetch failed');
@@ -152,18 +162,16 @@ async function testList(lsid){
 async function testVisibility(lsid){
   console.log(`\n[VISIBILITY] ${lsid}`);
   const manifestBefore = await api('GET', `/manifest.json?uid=${encodeURIComponent(UID)}`);
-  const idMovies = `imdb-${UID}-${lsid}-movies`;
-  const idSeries = `imdb-${UID}-${lsid}-series`;
-  const wasPresent = JSON.stringify(manifestBefore.body).includes(idMovies);
+  const wasPresent = Boolean(findCatalogId(manifestBefore.body, lsid, 'movie'));
 
   await patchList(lsid, 'hidden');
   const manifestHidden = await api('GET', `/manifest.json?uid=${encodeURIComponent(UID)}`);
-  const hiddenPresent = JSON.stringify(manifestHidden.body).includes(idMovies);
+  const hiddenPresent = Boolean(findCatalogId(manifestHidden.body, lsid, 'movie'));
   assert(!hiddenPresent, 'Hidden list still present in manifest');
 
   await patchList(lsid, 'discover');
   const manifestAfter = await api('GET', `/manifest.json?uid=${encodeURIComponent(UID)}`);
-  const presentAgain = JSON.stringify(manifestAfter.body).includes(idMovies);
+  const presentAgain = Boolean(findCatalogId(manifestAfter.body, lsid, 'movie'));
   assert(presentAgain, 'Discover list missing after toggle');
   if (!wasPresent) console.log('  note: list was newly added during test');
 }
@@ -171,10 +179,10 @@ async function testVisibility(lsid){
 async function testAllMerged(){
   console.log(`\n[ALL MERGED]`);
   const man = await api('GET', `/manifest.json?uid=${encodeURIComponent(UID)}`);
-  const hasAll = JSON.stringify(man.body).includes(`imdb-${UID}-ALL-movies`);
-  if (!hasAll) { console.log('  skipped: ENABLE_ALL_CATALOGS is false'); return; }
-  const movAll = await catalog('movie', `imdb-${UID}-ALL-movies`, 'limit=500');
-  const serAll = await catalog('series', `imdb-${UID}-ALL-series`, 'limit=500');
+  const allMovies = findCatalogId(man.body, 'ALL', 'movie');
+  if (!allMovies) { console.log('  skipped: ENABLE_ALL_CATALOGS is false'); return; }
+  const movAll = await catalog('movie', allMovies, 'limit=500');
+  const serAll = await catalog('series', findCatalogId(man.body, 'ALL', 'series') || `imdb-${UID}-ALL-series`, 'limit=500');
   const seen = new Set();
   for (const m of movAll.metas) { if (m.id) { if (seen.has(m.id)) throw new Error('dedupe failed in ALL-movies'); seen.add(m.id); } }
   for (const m of serAll.metas) { if (m.id) { if (seen.has(m.id)) { /* cross-type dupes are ok across buckets */ } } }
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// scripts/import_imdb_datasets.mjs
+// Builds the offline title index (lib/imdbDataset.js) from IMDb's dataset dumps.
+// Download title.basics.tsv.gz and title.episode.tsv.gz from https://datasets.imdbws.com/ first.
+//
+// Usage:
+//   node scripts/import_imdb_datasets.mjs <dir>                       (looks for both files in <dir>)
+//   node scripts/import_imdb_datasets.mjs --basics <file> [--episode <file>] [--out <dir>]
+// Output goes to IMDB_DATASET_DIR (default data/imdb-dataset) unless --out is given.
+
+import fs from 'fs';
+import path from 'path';
+import { buildDatasetIndex } from '../lib/imdbDataset.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith('--')) args[a.slice(2)] = argv[++i];
+    else args.dir = a;
+  }
+  return args;
+}
+
+// Prefer the .gz dumps, accept already-unpacked .tsv files
+function findDump(dir, base) {
+  for (const name of [`${base}.tsv.gz`, `${base}.tsv`]) {
+    const p = path.join(dir, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const basicsPath = args.basics || (args.dir && findDump(args.dir, 'title.basics'));
+  const episodePath = args.episode || (args.dir && findDump(args.dir, 'title.episode'));
+  if (!basicsPath) {
+    console.error('Usage: node scripts/import_imdb_datasets.mjs <dir> | --basics <file> [--episode <file>] [--out <dir>]');
+    process.exit(1);
+  }
+  if (!episodePath) console.log('⚠️  No title.episode dump given: episode → series mapping will be unavailable');
+
+  console.log(`📦 Importing ${basicsPath}${episodePath ? ` + ${episodePath}` : ''}`);
+  const started = Date.now();
+  const index = await buildDatasetIndex({
+    basicsPath,
+    episodePath,
+    outDir: args.out,
+    onProgress: ({ file, rows, done }) => console.log(`  ${done ? '✅' : '…'} ${file}: ${rows.toLocaleString()} rows`)
+  });
+  console.log(`🎉 Index built in ${((Date.now() - started) / 1000).toFixed(1)}s: ${index.counts.titles.toLocaleString()} titles, ${index.counts.episodes.toLocaleString()} episodes`);
+}
+
+main().catch(e => { console.error('❌ Import failed:', e.message); process.exit(1); });
@@ -1,21 +1,25 @@
 // scripts/phase1_classify_and_split.mjs
 // Usage: node scripts/phase1_classify_and_split.mjs <lsid> <uid=default>
 // Reads ids from data/cache/<uid>/<lsid>-ids.json (array or {ids:[]})
-// Classifies each tt via Cinemeta → IMDb fallback (Phase 1 complete)
+// Classifies each tt with classifyTitle (lib/classifyEngine.mjs), the same decision the
+// warmer makes. CLASSIFY_CHAIN (comma-separated resolver names) picks another chain, e.g.
+// CLASSIFY_CHAIN=evidence for resolveType's weighted vote. Excluded titles are reported as unknown.
 // Writes split caches: -movies.json, -series.json and -types.json
 
 import fs from 'node:fs';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { resolveType } from '../lib/imdbTypeClassifier.mjs';
+import { classifyTitle, DEFAULT_CHAIN } from '../lib/classifyEngine.mjs';
+import { isSourceId } from '../lib/listSources.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const root = path.resolve(__dirname, '..');
 
 const [,, lsid, uidArg] = process.argv;
 const uid = uidArg || 'default';
+const chain = process.env.CLASSIFY_CHAIN ? process.env.CLASSIFY_CHAIN.split(',').map(s => s.trim()).filter(Boolean) : DEFAULT_CHAIN;
 
-if (!lsid || !/^ls\d+$/.test(lsid)) {
+if (!lsid || !isSourceId(lsid)) {
   console.error('Usage: node scripts/phase1_classify_and_split.mjs <lsid> <uid=default>');
   process.exit(1);
 }
@@ -53,24 +57,11 @@ const outSeries = [];
 const unknowns = [];
 const dedupeSet = new Set();
 
-async function fetchMetaFor(type, tt) {
-  const base = process.env.CINEMETA_BASE || 'https://v3-cinemeta.strem.io';
-  const url = `${base}/meta/${type}/${tt}.json`;
-  try {
-    const res = await fetch(url, { headers: { 'accept': 'application/json' } });
-    if (!res.ok) return null;
-    const j = await res.json();
-    return j && j.meta ? j.meta : null;
-  } catch {
-    return null;
-  }
-}
-
 for (const tt of ids) {
   try {
-    const r = await resolveType(tt);
-    if (!r || !r.type) {
-      console.log(`- ${tt} → unknown (${r ? r.source : 'no-source'})`);
+    const r = await classifyTitle(tt, { resolvers: chain });
+    if (r.type === 'exclude') {
+      console.log(`- ${tt} → unknown (${r.reason})`);
       unknowns.push(tt);
       continue;
     }
@@ -82,7 +73,7 @@ for (const tt of ids) {
     }
     dedupeSet.add(key);
 
-    const meta = r.meta || await fetchMetaFor(r.type, targetTt);
+    const meta = r.meta;
     const slim = meta ? {
       id: meta.id || targetTt,
       type: r.type,
@@ -100,12 +91,12 @@ for (const tt of ids) {
       cast: meta.cast,
       director: meta.director,
       videos: meta.videos
-    } : { id: targetTt, type: r.type, name: meta?.name || targetTt };
+    } : { id: targetTt, type: r.type, name: targetTt };
 
     if (r.type === 'movie') outMovies.push(slim);
     else outSeries.push(slim);
 
-    console.log(`- ${tt} → ${r.type}${r.parent ? ` (parent ${r.parent})` : ''} via ${r.source}`);
+    console.log(`- ${tt} → ${r.type}${r.parent ? ` (parent ${r.parent})` : ''} at ${r.confidence} via ${r.reason}`);
   } catch (e) {
     console.log(`- ${tt} → ERROR ${e.message}`);
     unknowns.push(tt);
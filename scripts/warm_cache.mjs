@@ -2,28 +2,31 @@
 // scripts/warm_cache.mjs
 // Pre-processes all user lists to create fast cache files
 
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { warmList } from '../lib/prefetch.js';
+import { readDoc, listDocs } from '../lib/store.js';
+import { unescapePart } from '../lib/catalogIds.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const USERS_DIR = path.join(DATA_DIR, 'users');
 
-function loadUsers() {
-  try {
-    const raw = fs.readFileSync(USERS_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return {};
+// data/users/<uid>.json, one per user (in whichever STORAGE_BACKEND is configured)
+async function loadUsers() {
+  const users = {};
+  for (const name of await listDocs(USERS_DIR)) {
+    const uid = unescapePart(name.slice(0, -'.json'.length));
+    const u = uid && await readDoc(path.join(USERS_DIR, name));
+    if (u) users[uid] = u;
   }
+  return users;
 }
 
 async function main() {
   console.log('🔥 Warming cache for all user lists...\n');
   
-  const users = loadUsers();
+  const users = await loadUsers();
   
   for (const [uid, userData] of Object.entries(users)) {
     if (!userData.lists || !Array.isArray(userData.lists)) continue;
@@ -37,7 +40,8 @@ async function main() {
       try {
         console.log(`  📋 Warming ${name} (${lsid})...`);
         const result = await warmList(uid, lsid, {
-          origin: process.env.PUBLIC_BASE || 'http://localhost:7000'
+          origin: process.env.PUBLIC_BASE || 'http://localhost:7000',
+          overrides: list.overrides
         });
         
         if (result.ok) {
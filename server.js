@@ -7,7 +7,24 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { warmList } from './lib/prefetch.js';
+import { warmList, readWarmState, readChangeLog, hasCheckpoint, addedKey } from './lib/prefetch.js';
+import { scrapeImdbList } from './lib/imdbScraper.js';
+import { mountAdminRoutes } from './lib/adminRoutes.mjs';
+import { mountVisibilityGate, resolveVisibility } from './visibility-gate.mjs';
+import { enqueueJob, findActiveJob, listJobs, getJob, jobEvents } from './lib/jobs.js';
+import { parseSource, sourceKind, defaultSourceName } from './lib/listSources.js';
+import { encodeCatalogId, decodeCatalogId, ALL_SOURCE_ID, escapePart, unescapePart } from './lib/catalogIds.js';
+import { parseImdbExportCsv } from './lib/imdbCsv.js';
+import { classifyTitle, cinemetaMeta } from './lib/classifyEngine.mjs';
+import { readEntry, writeEntry, META_TTL_SEC } from './lib/metaStore.js';
+import { fetchUpstream } from './lib/upstream.js';
+import { readDoc, writeDoc, listDocs, storageBackendName } from './lib/store.js';
+import { encodeConfig, decodeConfig, looksLikeConfigToken } from './lib/statelessConfig.js';
+import { SECRET_HEADER, newSecret, hashSecret, mintUser, isMintedUid, isClaimed, secretMatches, secretMintsUid } from './lib/userSecrets.js';
+import { readExclusionReport, sanitizeOverride } from './lib/exclusions.js';
+import { readEpisodeMap, highlightCatalogMeta, highlightVideos } from './lib/episodeMap.js';
+import { readFacets, computeFacets, mergeFacets, genreOptions } from './lib/facets.js';
+import { newStaticListId, readStaticSource, writeStaticSource, deleteStaticSource, diffStaticItems } from './lib/staticLists.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,12 +36,23 @@ const IS_NETLIFY = !!process.env.NETLIFY || !!process.env.AWS_LAMBDA_FUNCTION_NA
 
 
 app.use(cors());
-app.use(express.json({ limit: '1mb' }));
+// Nothing runs before the user store is ready and the request's user is loaded
+app.use((req, res, next) => {
+  usersReady().then(() => loadUser(requestUid(req))).then(() => next(), next);
+});
+const UPLOAD_LIMIT = process.env.UPLOAD_LIMIT || '10mb'; // CSV exports of big lists run to a few MB
+app.use(express.json({ limit: UPLOAD_LIMIT }));
+app.use(statelessPrefix);
 
 // ---------------- Config ----------------
-const PAGES_MAX = Number(process.env.IMDB_PAGES_MAX || 1);
 const TTL_SEC = Number(process.env.IMDB_CACHE_TTL_SEC || 1800);
 const CONC = 6;
+const ENABLE_ALL_CATALOGS = /^(1|true)$/i.test(process.env.ENABLE_ALL_CATALOGS || '');
+const ALL_ID = ALL_SOURCE_ID;
+const LIST_TTL_SEC = Number(process.env.LIST_TTL_SEC || 6 * 3600); // default freshness for warmed lists
+const SERIES_META_TTL_SEC = Number(process.env.SERIES_META_TTL_SEC || 24 * 3600); // full series metas (episodes) for the meta route
+const STATELESS_MODE = /^(1|true)$/i.test(process.env.STATELESS_MODE || ''); // configure page builds /<token>/manifest.json installs
+const STATELESS_UID = '_stateless'; // cache namespace shared by every stateless install
 
 // ---------------- In-memory caches ----------------
 const mem = new Map(); // key -> { v, exp }
@@ -52,116 +80,89 @@ function setCache(key, v, ttlSec = TTL_SEC) {
   return v;
 }
 
-// ---------------- Utils ----------------
-function htmlDecode(x) {
-  return String(x || '')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
-}
-
-// Robust HTML → ids + title
-function parseImdbListHTML(html) {
-  const ids = [];
-  const seen = new Set();
-
-  // data-tconst pattern
-  let re1 = /data-tconst="(tt\d+)"/gi, m;
-  while ((m = re1.exec(html)) !== null) {
-    const id = m[1].toLowerCase();
-    if (!seen.has(id)) { seen.add(id); ids.push(id); }
-  }
-
-  // href-based fallback (mobile/stripped)
-  let re2 = /\/title\/(tt\d+)\b/gi;
-  while ((m = re2.exec(html)) !== null) {
-    const id = m[1].toLowerCase();
-    if (!seen.has(id)) { seen.add(id); ids.push(id); }
+// ---------------- IMDb lists ----------------
+// Fetch IMDb list ids through the shared scraper; cache by lsid.
+// Uploaded CSV lists are read from the owner's stored upload instead (never scraped).
+// Request handlers pass { maxPages: REQUEST_SCRAPE_PAGES } so a request never walks a whole
+// list; the warmer scrapes it all. A capped scrape is cached apart from the full one, and a
+// cached full scrape serves capped calls too.
+const REQUEST_SCRAPE_PAGES = 1;
+async function fetchImdbIds(lsid, uid = 'default', { maxPages } = {}) {
+  if (sourceKind(lsid) === 'csv') {
+    const src = await readStaticSource(uid, lsid);
+    const items = (src && src.items) || [];
+    return { title: (src && src.name) || defaultSourceName(lsid), description: null, ids: items.map(it => it.tt), items };
   }
-
-  // title
-  let title = null;
-  const h1 = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
-  if (h1) {
-    const inner = h1[1].replace(/<[^>]+>/g, '').trim();
-    if (inner) title = htmlDecode(inner);
-  }
-  if (!title) {
-    const mt = html.match(/<meta property="og:title" content="([^"]+)"/i);
-    if (mt) title = htmlDecode(mt[1]).replace(/ - IMDb.*$/,'');
-  }
-  return { title, ids };
-}
-
-// Fetch IMDb list ids with multi-source fallback; cache by lsid
-async function fetchImdbIds(lsid) {
-  const ck = `ls:${lsid}`;
+  const full = getCache(`ls:${lsid}`);
+  if (full) return full;
+  const ck = maxPages ? `ls:${lsid}:p${maxPages}` : `ls:${lsid}`;
   const cached = getCache(ck);
   if (cached) return cached;
 
-  let title = null;
-  const ids = [];
-  const pages = Number(PAGES_MAX) || 1;
-  const variants = [
-    (p)=>`https://www.imdb.com/list/${lsid}/?st_dt=&mode=detail&page=${p}`,
-    (p)=>`https://m.imdb.com/list/${lsid}/?page=${p}`,
-    (p)=>`https://r.jina.ai/http://www.imdb.com/list/${lsid}/?st_dt=&mode=detail&page=${p}`,
-    (p)=>`https://r.jina.ai/http://m.imdb.com/list/${lsid}/?page=${p}`
-  ];
-
-  for (let page = 1; page <= pages; page++) {
-    let pageIds = [];
-    for (const makeUrl of variants) {
-      try {
-        const u = makeUrl(page);
-        const r = await fetch(u, { headers: {
-          'accept': 'text/html,*/*',
-          'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36',
-          'accept-language': 'en,en-GB;q=0.9'
-        }});
-        if (!r.ok) continue;
-        const html = await r.text();
-        const parsed = parseImdbListHTML(html);
-        if (!title && parsed.title) title = parsed.title;
-        pageIds = parsed.ids || [];
-        if (pageIds.length) break;
-      } catch {}
-    }
-    if (!pageIds.length) break;
-    for (const id of pageIds) if (!ids.includes(id)) ids.push(id);
-    if (pageIds.length < 100) break;
-  }
-  const val = { title: title || `IMDb List ${lsid}`, ids };
-  return setCache(ck, val);
+  const res = await scrapeImdbList(lsid, maxPages ? { maxPages } : {});
+  if (!res.items.length) console.log(`IMDb scrape empty for ${lsid}:`, JSON.stringify(res.diagnostics));
+  const val = {
+    title: res.title || defaultSourceName(lsid),
+    description: res.description,
+    ids: res.items.map(it => it.tt),
+    items: res.items
+  };
+  // Don't pin a failed scrape for the full TTL
+  return setCache(ck, val, res.items.length ? TTL_SEC : 60);
 }
 
-// Cinemeta typed metas with cache
+// Cinemeta typed metas: memory, then the shared persistent meta store (lib/metaStore.js)
 const CIN_BASE = 'https://v3-cinemeta.strem.io/meta';
 async function getMeta(type, tt) {
   const ck = `meta:${type}:${tt}`;
   const c = getCache(ck);
   if (c) return c;
+  const meta = await cinemetaMeta(type, tt);
+  if (meta) setCache(ck, meta);
+  return meta;
+}
+
+// Full metas (videos, trailers, links, behaviorHints) for the meta route. List caches and the
+// trimmed store entries stay light, so these are kept untrimmed as 'full-movie' / 'full-series'
+// store entries; series ones expire sooner (new episodes). A stale copy beats nothing when
+// Cinemeta can't be reached.
+async function getFullMeta(type, tt) {
+  const ck = `fullmeta:${type}:${tt}`;
+  const c = getCache(ck);
+  if (c) return c;
+  const ttl = type === 'series' ? SERIES_META_TTL_SEC : META_TTL_SEC;
+  const stored = await readEntry(`full-${type}`, tt, ttl);
+  if (stored && stored.fresh && stored.value) return setCache(ck, stored.value, ttl);
   try {
-    const r = await fetch(`${CIN_BASE}/${type}/${tt}.json`, { headers: { 'accept': 'application/json' } });
-    if (!r.ok) return null;
-    const j = await r.json();
-    const meta = (j && j.meta) ? j.meta : null;
-    if (meta) setCache(ck, meta);
-    return meta;
-  } catch { return null; }
-}
-
-async function getTypedMetaDeterministic(type, tt) {
-  // If there is a SERIES meta, it is a series: never show it under movies.
-  if (type === 'movie') {
-    const s = await getMeta('series', tt);
-    if (s) return null;
-    return await getMeta('movie', tt);
-  } else {
-    return await getMeta('series', tt);
-  }
+    const r = await fetchUpstream(`${CIN_BASE}/${type}/${tt}.json`, { headers: { 'accept': 'application/json' } });
+    const j = r.ok ? JSON.parse(r.text) : null;
+    if (j && j.meta && j.meta.id) {
+      await writeEntry(`full-${type}`, tt, j.meta);
+      return setCache(ck, j.meta, ttl);
+    }
+  } catch {}
+  return stored ? stored.value : null;
+}
+
+// List-cached fields (poster fallbacks, "Your rating", list position…) over the full meta
+function mergeSeriesMeta(cached, full) {
+  if (!full) return cached;
+  return {
+    ...full,
+    ...cached,
+    videos: Array.isArray(full.videos) ? full.videos : (cached.videos || []),
+    trailers: full.trailers || cached.trailers,
+    trailerStreams: full.trailerStreams || cached.trailerStreams,
+    links: full.links || cached.links,
+    behaviorHints: { ...(full.behaviorHints || {}), ...(cached.behaviorHints || {}) }
+  };
+}
+
+// Real-time path: the shared engine without per-title IMDb page scrapes (too slow per request)
+const REALTIME_RESOLVERS = ['override', 'dataset', 'label', 'cinemeta'];
+async function getTypedMetaDeterministic(type, tt, titleLabel, override) {
+  const d = await classifyTitle(tt, { getMeta, titleLabel, override, resolvers: REALTIME_RESOLVERS });
+  return d.type === type ? d.meta : null;
 }
 
 async function typedPage(type, ids, opts) {
@@ -169,6 +170,8 @@ async function typedPage(type, ids, opts) {
   const skip  = Math.max(0, parseInt(opts.skip || 0, 10) || 0);
   const limit = Math.max(1, parseInt(opts.limit || 50, 10) || 50);
   const search = String(opts.search || '').toLowerCase().trim();
+  const labels = opts.labels || {}; // tt -> IMDb title type label from the list page, when known
+  const overrides = opts.overrides || {}; // tt -> manual override for this list
 
   // We'll collect metas in index order to preserve IMDb list ordering.
   const slots = new Array(ids.length).fill(null);
@@ -178,7 +181,7 @@ async function typedPage(type, ids, opts) {
     while (i < ids.length) {
       const my = i++;
       const tt = ids[my];
-      const meta = await getTypedMetaDeterministic(type, tt);
+      const meta = await getTypedMetaDeterministic(type, tt, labels[tt], overrides[tt]);
       if (!meta) continue;
       if (meta.type && String(meta.type).toLowerCase() !== type) continue;
       if (search && !String(meta.name||'').toLowerCase().includes(search)) continue;
@@ -197,13 +200,13 @@ async function typedPage(type, ids, opts) {
 }
 
 // Quick probe to see if a list has at least one item of a type
-async function hasType(lsid, type, sample = 40) { // Reduced sample size from 120 to 40
+async function hasType(lsid, type, { uid = 'default', sample = 40 } = {}) { // Reduced sample size from 120 to 40
   const ck = `stats:${lsid}`;
   const stats = getCache(ck) || { movie: null, series: null };
   if (stats[type] !== null) return stats[type] > 0;
 
   // Check if we have cached files first (much faster)
-  const cachedData = await readCacheFile('default', lsid, type);
+  const cachedData = await readCacheFile(uid, lsid, type);
   if (cachedData && Array.isArray(cachedData) && cachedData.length > 0) {
     stats[type] = 1;
     setCache(ck, stats, 12 * 3600);
@@ -211,7 +214,7 @@ async function hasType(lsid, type, sample = 40) { // Reduced sample size from 12
   }
 
   // Fallback to API check with smaller sample
-  const info = await fetchImdbIds(lsid);
+  const info = await fetchImdbIds(lsid, uid, { maxPages: REQUEST_SCRAPE_PAGES });
   const ids = info.ids.slice(0, sample);
   let any = false;
   let i = 0;
@@ -328,36 +331,18 @@ function parseExtrasFromParam(req) {
 // Tolerate clients that append /configure to the manifest URL
 
 
-// ---- BEGIN: helper: default genres + listGenresForType (fallback) ----
-const DEFAULT_MOVIE_GENRES = [
-  'Action','Adventure','Animation','Biography','Comedy','Crime','Documentary',
-  'Drama','Family','Fantasy','History','Horror','Music','Musical','Mystery',
-  'Romance','Sci-Fi','Sport','Thriller','War','Western'
-];
-
-const DEFAULT_SERIES_GENRES = [
-  'Action','Adventure','Animation','Biography','Comedy','Crime','Documentary',
-  'Drama','Family','Fantasy','History','Horror','Music','Mystery',
-  'Romance','Sci-Fi','Sport','Thriller','War','Western'
-];
-
-/**
- * Returns the allowed genres for a given imdb list and type.
- * If you don't have a per-list cache, we just return a broad default.
- * Keeping it async so existing call sites remain unchanged.
- */
-async function listGenresForType(lsid, type) {
-  return type === 'series' ? DEFAULT_SERIES_GENRES : DEFAULT_MOVIE_GENRES;
-}
-// ---- END: helper: default genres + listGenresForType (fallback) ----
-
 // ---- BEGIN: helper: build proper Stremio deep links and web links ----
-function buildInstallUrls(req, uidRaw) {
-  const uid = String(uidRaw ?? (req.query.uid || (req.cookies ? req.cookies.uid : '') || 'default'));
+function requestBase(req) {
   const proto = (req.headers['x-forwarded-proto'] || req.protocol || 'http').split(',')[0].trim();
   const host = (req.headers['x-forwarded-host'] || req.get('host'));
-  const base = `${proto}://${host}`;
-  const manifestUrl = `${base}/manifest.json?uid=${encodeURIComponent(uid)}`;
+  return `${proto}://${host}`;
+}
+function buildInstallUrls(req, uidRaw) {
+  const uid = String(uidRaw ?? (req.query.uid || (req.cookies ? req.cookies.uid : '') || 'default'));
+  const base = requestBase(req);
+  // ?config=<token>: stateless install, the configuration travels in the manifest path
+  const token = looksLikeConfigToken(req.query.config) ? String(req.query.config) : '';
+  const manifestUrl = token ? `${base}/${token}/manifest.json` : `${base}/manifest.json?uid=${encodeURIComponent(uid)}`;
   const deepLink = `stremio:///install-addon?addon=${encodeURIComponent(manifestUrl)}`;
   const webLink = `https://web.stremio.com/#/addons?addonUrl=${encodeURIComponent(manifestUrl)}`;
   return { uid, manifestUrl, deepLink, webLink };
@@ -379,6 +364,7 @@ app.get('/install', (req, res) => {
 // ---- END: helper: build proper Stremio deep links and web links ----
 
 app.get('/manifest.json/configure', (req, res) => {
+  if (req.stateless) return res.redirect(302, `/configure?config=${req.stateless.token}`);
   const qs = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
   res.redirect(302, '/configure' + qs);
 });
@@ -397,76 +383,205 @@ function parseCookies(req) {
   });
   return out;
 }
+// uid from ?uid= or the uid cookie; '' when the request has none
 function getUidFromReq(req) {
   const q = req.query && (req.query.uid || req.query.user || req.query.u);
   if (q) return String(q);
   const c = parseCookies(req);
-  return c.uid || 'default';
+  return c.uid || '';
+}
+// The user a request is about: /api/user/<uid>/…, the uid in a catalog id, or ?uid= / cookie
+function requestUid(req) {
+  const m = req.path.match(/^\/api\/user\/([^/]+)/) || req.path.match(/\/catalog\/[^/]+\/([^/]+?)(?:\.json)?(?:\/|$)/);
+  if (!m) return getUidFromReq(req);
+  let seg = m[1];
+  try { seg = decodeURIComponent(seg); } catch {}
+  if (m[0].startsWith('/api/')) return seg;
+  const info = decodeCatalogId(seg);
+  return info ? info.uid : getUidFromReq(req);
 }
 function setUidCookie(res, uid) {
+  if (!uid) return;
   try { res.setHeader('Set-Cookie', `uid=${encodeURIComponent(uid)}; Path=/; Max-Age=31536000; SameSite=Lax`); } catch {}
 }
 
 app.get('/configure', (req, res) => {
-  const uid = getUidFromReq(req);
-  setUidCookie(res, uid);
+  if (req.stateless) return res.redirect(302, `/configure?config=${req.stateless.token}`);
   res.set('Cache-Control','no-store');
-  if (IS_NETLIFY) {
-    // On Netlify functions, serve static UI via Netlify and just redirect
-    return res.redirect(302, '/ui/index.html');
+  // On Netlify functions, the static UI is served by Netlify
+  const page = IS_NETLIFY ? '/ui/index.html' : '/configure';
+  const uid = getUidFromReq(req);
+  const stateless = STATELESS_MODE || 'stateless' in req.query || 'config' in req.query;
+  if (!stateless && !users.has(uid) && !isMintedUid(uid)) {
+    // First visit (or a uid that doesn't exist): mint a user, saved only once it adds a list.
+    // The secret rides in the URL fragment, which never reaches the server again; the page
+    // keeps it and drops it from the URL.
+    const { uid: fresh, secret } = mintUser();
+    setUidCookie(res, fresh);
+    return res.redirect(302, `${page}?uid=${encodeURIComponent(fresh)}#secret=${secret}`);
   }
+  setUidCookie(res, uid);
+  // The page reads its uid from the query string, not the cookie
+  if (uid && !req.query.uid) return res.redirect(302, `${page}?uid=${encodeURIComponent(uid)}`);
+  if (IS_NETLIFY) return res.redirect(302, '/ui/index.html' + (req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : ''));
   return res.sendFile(path.join(uiDir, 'index.html'));
 });
 app.get(['/model2.js','/ui/model2.js'], (req, res) => res.sendFile(path.join(uiDir, 'model2.js')));
 
 // ---------------- Simple per-user store (default uid="default") ----------------
 const DATA_DIR = path.join(__dirname, 'data');
-const DB_FILE = path.join(DATA_DIR, 'users.json');
+const LEGACY_USERS_FILE = path.join(DATA_DIR, 'users.json');
+const USERS_DIR = path.join(DATA_DIR, 'users');
+const USER_CACHE_MS = Number(process.env.USER_CACHE_SEC ?? 10) * 1000;
+
+// One document per user, data/users/<uid>.json, in the storage backend (lib/store.js: files by
+// default, or sqlite / s3), so instances sharing a backend (serverless, several servers) only
+// ever write the user they changed. Each instance keeps the users it has seen in memory and
+// re-reads one after USER_CACHE_SEC; writes re-read it first (requireUserSecret).
+// A corrupt document is restored from its .bak or fails loudly: never read as "no such user".
+function userFile(uid) {
+  return path.join(USERS_DIR, `${escapePart(uid)}.json`);
+}
 
-function _loadUsersObj() {
-  try { return JSON.parse(fs.readFileSync(DB_FILE, 'utf8')); }
-  catch { return {}; }
+const users = new Map();        // uid -> user
+const userLoadedAt = new Map(); // uid -> when it was last read
+
+async function loadUser(uid, { fresh = false } = {}) {
+  if (!uid) return null;
+  if (!fresh && now() - (userLoadedAt.get(uid) || 0) < USER_CACHE_MS) return users.get(uid) || null;
+  const u = await readDoc(userFile(uid), { strict: true });
+  userLoadedAt.set(uid, now());
+  if (u) users.set(uid, { ...u, uid });
+  else users.delete(uid);
+  return users.get(uid) || null;
 }
-function _saveUsersObj(obj) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(DB_FILE, JSON.stringify(obj, null, 2));
+
+// Servers from before per-user documents kept every user in users.json: split it up once
+async function migrateLegacyUsers() {
+  if ((await listDocs(USERS_DIR)).length) return;
+  const legacy = await readDoc(LEGACY_USERS_FILE, { strict: true });
+  const entries = Object.entries(legacy || {});
+  if (!entries.length) return;
+  for (const [uid, u] of entries) await writeDoc(userFile(uid), { ...u, uid }, { backup: true });
+  console.log(`📦 Moved ${entries.length} user(s) from users.json to users/<uid>.json; users.json is no longer read`);
 }
 
-const users = new Map(Object.entries(_loadUsersObj()));
+let usersLoad = null;
+function usersReady() {
+  if (!usersLoad) {
+    usersLoad = migrateLegacyUsers();
+    usersLoad.catch(e => console.error(`❌ Could not load the user store (${storageBackendName()}): ${e.message}`));
+  }
+  return usersLoad;
+}
+
+// Every stored user (startup: resuming warms, counting users without secrets)
+async function loadAllUsers() {
+  const all = [];
+  for (const name of await listDocs(USERS_DIR)) {
+    const uid = unescapePart(name.slice(0, -'.json'.length));
+    const u = uid && await loadUser(uid, { fresh: true });
+    if (u) all.push(u);
+  }
+  return all;
+}
 
-function _saveNow() {
-  const obj = {};
-  for (const [k, v] of users.entries()) obj[k] = v;
-  _saveUsersObj(obj);
+// Saves of one user run one after another, each writing the latest state. Write routes await
+// theirs before answering (a serverless function may be frozen as soon as it has answered).
+const userSaves = new Map(); // uid -> pending save
+function saveUser(u) {
+  users.set(u.uid, u);
+  userLoadedAt.set(u.uid, now());
+  const saved = (userSaves.get(u.uid) || Promise.resolve())
+    .then(() => writeDoc(userFile(u.uid), u, { backup: true }))
+    .catch(e => console.error(`❌ Saving user ${u.uid} failed: ${e.message}`));
+  userSaves.set(u.uid, saved);
+  saved.then(() => { if (userSaves.get(u.uid) === saved) userSaves.delete(u.uid); });
+  return saved;
 }
 
+// Stored user, or an empty stand-in for unknown uids (users are only created by requireUserSecret)
 function getUser(uid='default') {
-  if (!users.has(uid)) users.set(uid, { uid, lists: [] });
-  return users.get(uid);
+  return users.get(uid) || { uid, lists: [] };
 }
 
-// Helper function to extract actual genres from cached data
-function getActualGenres(items) {
-  const genreSet = new Set();
-  
-  for (const item of items) {
-    if (item.genres && Array.isArray(item.genres)) {
-      for (const genre of item.genres) {
-        genreSet.add(genre);
-      }
-    }
+// New secret for an existing user (admin only: POST /admin/users/:uid/secret). Users from
+// before secrets existed get their first one this way; reset replaces a lost one.
+async function issueSecret(uid, { reset = false } = {}) {
+  const u = await loadUser(uid, { fresh: true });
+  if (!u) return { status: 404, error: 'Unknown user' };
+  if (isClaimed(u) && !reset) return { status: 409, error: 'This user already has a secret (pass reset=1 to replace it)' };
+  const secret = newSecret();
+  u.secretHash = hashSecret(secret);
+  await saveUser(u);
+  console.log(`🔑 Secret ${reset ? 'reset' : 'issued'} for user ${uid}`);
+  return { uid, secret, editPath: `/configure?uid=${encodeURIComponent(uid)}#secret=${secret}` };
+}
+
+// Guards every /api/user/:uid write: the uid must exist and the request must carry its secret.
+// The user is re-read first, so the handler changes the stored version, not a stale copy.
+async function requireUserSecret(req, res, next) {
+  const uid = String(req.params.uid || '');
+  const secret = req.get(SECRET_HEADER);
+  try { await loadUser(uid, { fresh: true }); }
+  catch (e) { return res.status(503).json({ error: 'User store unavailable' }); }
+  if (!users.has(uid) && secretMintsUid(uid, secret)) {
+    // First write of a user minted by /configure: the handler's save stores it
+    users.set(uid, { uid, lists: [], secretHash: hashSecret(secret), createdAt: new Date().toISOString() });
+    console.log(`👤 New user ${uid}`);
   }
-  
-  // Sort genres alphabetically
-  const actualGenres = Array.from(genreSet).sort();
-  
-  // Return empty array if no genres found
-  return actualGenres.length > 0 ? actualGenres : [];
+  const u = users.get(uid);
+  if (!u) return res.status(404).json({ error: 'Unknown user: open /configure to get one' });
+  if (!isClaimed(u)) return res.status(403).json({ error: 'This user has no secret yet: ask the server operator for an edit link', unclaimed: true });
+  if (!secretMatches(u, secret)) return res.status(403).json({ error: `Missing or wrong ${SECRET_HEADER}` });
+  next();
+}
+
+// ---------------- Stateless installs ----------------
+// /<token>/manifest.json, /<token>/catalog/…, /<token>/meta/…: the token (lib/statelessConfig.js)
+// is the whole user. It is decoded into req.stateless and stripped from the path, so the
+// regular routes serve these requests; caches for token lists live under STATELESS_UID.
+function statelessPrefix(req, res, next) {
+  const m = req.url.match(/^\/([^/?]+)(\/[^?]*)?(\?.*)?$/);
+  if (!m || !looksLikeConfigToken(m[1])) return next();
+  let config;
+  try { config = decodeConfig(m[1]); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  req.stateless = { token: m[1], user: { uid: STATELESS_UID, lists: config.lists } };
+  req.url = (m[2] && m[2] !== '/' ? m[2] : '/configure') + (m[3] || '');
+  next();
+}
+
+// The user a request acts for: its stateless config, or the stored uid record
+function requestUser(req, uid) {
+  return req.stateless ? req.stateless.user : getUser(uid);
+}
+
+function userList(user, lsid) {
+  return ((user && user.lists) || []).find(x => (x.id || x.lsid || x) === lsid) || null;
+}
+
+function findList(uid, lsid) {
+  return userList(getUser(uid), lsid);
+}
+
+// Manual type overrides for a list: { tt: { action, series? } } (lib/exclusions.js)
+function listOverrides(uid, lsid) {
+  if (uid === STATELESS_UID) return {}; // tokens carry no overrides
+  const list = findList(uid, lsid);
+  return (list && list.overrides) || {};
+}
+
+// Home-hidden catalogs require a genre, so Stremio only offers them in Discover
+function genreExtra(options, vis) {
+  const extra = { name: 'genre', options };
+  if (vis && !vis.home) extra.isRequired = true;
+  return extra;
 }
 
 // ---------------- Manifest ----------------
 app.get('/manifest.json', async (req, res) => {
-  const uid = String(new URLSearchParams(req.url.split('?')[1] || '').get('uid') || 'default');
+  const uid = req.stateless ? STATELESS_UID : String(new URLSearchParams(req.url.split('?')[1] || '').get('uid') || 'default');
   
   // For v2 rollout, disable manifest caching temporarily
   // const manifestCacheKey = `manifest:${uid}`;
@@ -476,7 +591,7 @@ app.get('/manifest.json', async (req, res) => {
   //   return res.json(cachedManifest);
   // }
 
-  const u = getUser(uid);
+  const u = requestUser(req, uid);
   
   // If no lists, return empty manifest immediately
   if (!u.lists || u.lists.length === 0) {
@@ -488,7 +603,7 @@ app.get('/manifest.json', async (req, res) => {
       resources: ['catalog', 'meta'],
       types: ['movie','series'],
       catalogs: [],
-      behaviorHints: { configurable: true, configurationRequired: false }
+      behaviorHints: { configurable: true, configurationRequired: STATELESS_MODE && !req.stateless }
     };
     // setCache(manifestCacheKey, emptyManifest, 300);
     res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
@@ -499,54 +614,60 @@ app.get('/manifest.json', async (req, res) => {
 
   const catalogs = [];
 
-  // Process all lists in parallel for faster manifest generation
-  const listPromises = (u.lists || []).map(async (l) => {
+  // Genre options and item counts come from each list's facets (lib/facets.js). Lists not warmed
+  // yet, or only partially (a type may just not be classified yet), are probed instead.
+  const facetsByList = await Promise.all((u.lists || []).map(l => listFacets(uid, l.id || l.lsid || l)));
+  const typesByList = await Promise.all((u.lists || []).map((l, i) => {
     const lsid = l.id || l.lsid || l;
-    const name = l.name || `IMDb List ${lsid}`;
+    const facets = facetsByList[i];
+    return facets && !facets.partial
+      ? [facets.movie.count > 0, facets.series.count > 0]
+      : Promise.all([hasType(lsid, 'movie', { uid }), hasType(lsid, 'series', { uid })]);
+  }));
 
-    // Run hasType checks in parallel
-    const [hasMovies, hasSeries] = await Promise.all([
-      hasType(lsid, 'movie'),
-      hasType(lsid, 'series')
-    ]);
+  // Process all lists in parallel for faster manifest generation
+  const listPromises = (u.lists || []).map(async (l, i) => {
+    const lsid = l.id || l.lsid || l;
+    const name = l.name || defaultSourceName(lsid);
+    const sortOptions = sortOptionsFor(lsid);
+    const facets = facetsByList[i];
+    const [hasMovies, hasSeries] = typesByList[i];
 
     const catalogsForList = [];
 
     if (hasMovies) {
-      // Get actual genres from cached movies
-      const cachedMovies = await readCacheFile(uid, lsid, 'movie');
-      const actualMovieGenres = getActualGenres(cachedMovies || []);
+      const actualMovieGenres = genreOptions(facets && facets.movie);
+      const vis = resolveVisibility(l, 'movie');
       
-      catalogsForList.push({
-        id: `imdb-${uid}-${lsid}-movies-v2`,
+      if (vis.home || vis.discover) catalogsForList.push({
+        id: encodeCatalogId({ uid, sourceId: lsid, type: 'movie', options: { sort: l.sort, order: l.order } }),
         type: 'movie',
         name: name,
         extra: [
           { name: 'search' },
           { name: 'skip' },
           { name: 'limit' },
-          { name: 'genre', options: actualMovieGenres },
-          { name: 'Sort', options: ['Added','Name','Year','Rating','Runtime'] },
+          genreExtra(actualMovieGenres, vis),
+          { name: 'Sort', options: sortOptions },
           { name: 'Order', options: ['asc','desc'] }
         ],
         genres: actualMovieGenres
       });
     }
     if (hasSeries) {
-      // Get actual genres from cached series
-      const cachedSeries = await readCacheFile(uid, lsid, 'series');
-      const actualSeriesGenres = getActualGenres(cachedSeries || []);
+      const actualSeriesGenres = genreOptions(facets && facets.series);
+      const vis = resolveVisibility(l, 'series');
       
-      catalogsForList.push({
-        id: `imdb-${uid}-${lsid}-series-v2`,
+      if (vis.home || vis.discover) catalogsForList.push({
+        id: encodeCatalogId({ uid, sourceId: lsid, type: 'series', options: { sort: l.sort, order: l.order } }),
         type: 'series',
         name: name,
         extra: [
           { name: 'search' },
           { name: 'skip' },
           { name: 'limit' },
-          { name: 'genre', options: actualSeriesGenres },
-          { name: 'Sort', options: ['Added','Name','Year','Rating','Runtime'] },
+          genreExtra(actualSeriesGenres, vis),
+          { name: 'Sort', options: sortOptions },
           { name: 'Order', options: ['asc','desc'] }
         ],
         genres: actualSeriesGenres
@@ -564,6 +685,29 @@ app.get('/manifest.json', async (req, res) => {
     catalogs.push(...catalogArray);
   }
 
+  // Merged "All lists" catalogs, one per type that any list has
+  if (ENABLE_ALL_CATALOGS) {
+    for (const type of ['movie', 'series']) {
+      if (!typesByList.some(([hasMovies, hasSeries]) => (type === 'movie' ? hasMovies : hasSeries))) continue;
+      const merged = mergeFacets(facetsByList.map(f => f && f[type]));
+      const mergedGenres = genreOptions(merged);
+      catalogs.push({
+        id: encodeCatalogId({ uid, sourceId: ALL_ID, type }),
+        type,
+        name: type === 'movie' ? 'All lists: Movies' : 'All lists: Series',
+        extra: [
+          { name: 'search' },
+          { name: 'skip' },
+          { name: 'limit' },
+          { name: 'genre', options: mergedGenres },
+          { name: 'Sort', options: SORT_OPTIONS },
+          { name: 'Order', options: ['asc','desc'] }
+        ],
+        genres: mergedGenres
+      });
+    }
+  }
+
   const manifest = {
     id: 'com.imdbstream.enhanced.v2',
     version: '2.0.0',
@@ -590,28 +734,164 @@ function getCachePath(uid, lsid, type) {
 }
 
 async function readCacheFile(uid, lsid, type) {
-  try {
-    const cachePath = getCachePath(uid, lsid, type);
-    const raw = fs.readFileSync(cachePath, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return null;
+  return readDoc(getCachePath(uid, lsid, type));
+}
+
+// Up-mapped episodes per series across the given lists: Map<series tt, entry[]>
+async function readEpisodeMaps(uid, lsids) {
+  const out = new Map();
+  for (const lsid of lsids) {
+    const m = await readEpisodeMap(path.join(__dirname, 'data', 'cache', uid), lsid);
+    for (const [series, entries] of m) out.set(series, [...(out.get(series) || []), ...entries]);
+  }
+  return out;
+}
+
+// { movie, series } facets for a list: from its last warm, or computed from its split caches
+// when an older warm wrote none or a warm is still partial (then marked partial: true, as a
+// type can be missing only because it isn't classified yet); null when the list has no cache yet
+async function listFacets(uid, lsid) {
+  const state = await readWarmState(uid, lsid);
+  const partial = Boolean(state && state.partial);
+  const stored = !partial && await readFacets(path.join(__dirname, 'data', 'cache', uid), lsid);
+  if (stored) return stored;
+  const [movies, series] = await Promise.all([readCacheFile(uid, lsid, 'movie'), readCacheFile(uid, lsid, 'series')]);
+  if (!Array.isArray(movies) && !Array.isArray(series)) return null;
+  return partial ? { ...computeFacets({ movies, series }), partial } : computeFacets({ movies, series });
+}
+
+/**
+ * Union of every list's split cache for a type, deduped by tt id.
+ * Order is stable: lists in the user's order, items in each list's cached order.
+ */
+async function readMergedCache(uid, lists, type) {
+  const seen = new Set();
+  const out = [];
+  for (const l of (lists || [])) {
+    const lsid = l.id || l.lsid || l;
+    const items = await readCacheFile(uid, lsid, type);
+    if (!Array.isArray(items)) continue;
+    for (const item of items) {
+      if (!item || !item.id || seen.has(item.id)) continue;
+      seen.add(item.id);
+      out.push(item);
+    }
+  }
+  return out;
+}
+
+// ---------------- Background warming (stale-while-revalidate) ----------------
+const warmAttempts = new Map(); // `${uid}:${lsid}` -> ms of last background attempt
+const WARM_RETRY_MS = 60 * 1000; // don't hammer IMDb when a rewarm keeps failing
+
+function warmOrigin() {
+  return process.env.PUBLIC_BASE || `http://localhost:${PORT || 7000}`;
+}
+
+function listTtlSec(list) {
+  const ttl = Number(list && list.ttlSec);
+  return ttl > 0 ? ttl : LIST_TTL_SEC;
+}
+
+// Queue a warm job unless one is already queued/running for this uid+lsid; returns the job.
+// opts.full: reclassify every title instead of only the list's additions
+// opts.changed: the list (items or overrides) just changed, so a running warm is followed by another
+function startWarm(uid, lsid, opts = {}) {
+  return enqueueJob({
+    uid,
+    lsid,
+    changed: Boolean(opts.changed),
+    run: (onProgress) => warmList(uid, lsid, { origin: warmOrigin(), onProgress, overrides: listOverrides(uid, lsid), full: Boolean(opts.full) })
+  });
+}
+
+/**
+ * If the list's cache is older than its TTL, only partial, or an interrupted warm left a
+ * checkpoint, kick off a background (re)warm.
+ * Returns true while a warm for this list is in flight (caller sets x-warming).
+ */
+async function maybeRewarm(uid, lsid, list = findList(uid, lsid)) {
+  const key = `${uid}:${lsid}`;
+  if (findActiveJob(uid, lsid)) return true;
+  if (now() - (warmAttempts.get(key) || 0) < WARM_RETRY_MS) return false;
+  if (!list) return false;
+  const state = await readWarmState(uid, lsid);
+  const age = state && !state.partial ? now() - state.warmedAt : Infinity;
+  const resume = await hasCheckpoint(uid, lsid);
+  if (age < listTtlSec(list) * 1000 && !resume) return false;
+  console.log(resume ? `⏯️  Resuming interrupted warm for ${uid}/${lsid}` : `♻️  Cache stale for ${uid}/${lsid}, rewarming in background`);
+  warmAttempts.set(key, now());
+  startWarm(uid, lsid);
+  return true;
+}
+
+// ---------------- Stateless warm limits ----------------
+// Anyone can put any list in a token, and nothing authenticates catalog requests or preloads, so
+// lists the shared stateless cache doesn't have yet are capped: STATELESS_MAX_LISTS lists in that
+// cache in total, and STATELESS_NEW_LISTS_PER_IP new ones per client address per hour. Lists
+// already cached keep refreshing as usual.
+const STATELESS_MAX_LISTS = Number(process.env.STATELESS_MAX_LISTS || 500);
+const STATELESS_NEW_LISTS_PER_IP = Number(process.env.STATELESS_NEW_LISTS_PER_IP || 10);
+const STATELESS_LIST_SCAN_MS = 5 * 60 * 1000;
+const statelessNewByIp = new Map(); // client address -> ms of its recent new-list warms
+let statelessKnown = null;          // { at, lsids } lists the stateless cache has (or is warming)
+
+async function statelessCachedLists() {
+  if (!statelessKnown || now() - statelessKnown.at > STATELESS_LIST_SCAN_MS) {
+    const names = await listDocs(path.join(__dirname, 'data', 'cache', STATELESS_UID));
+    const lsids = names.map(n => (n.match(/^(.+)-(?:movies|series|checkpoint)\.json$/) || [])[1]).filter(Boolean);
+    statelessKnown = { at: now(), lsids: new Set(lsids) };
+  }
+  return statelessKnown.lsids;
+}
+
+/** Whether this request may warm stateless list lsid; a list new to the cache uses up a slot. */
+async function allowStatelessWarm(req, lsid) {
+  const known = await statelessCachedLists();
+  if (known.has(lsid)) return true;
+  if (known.size >= STATELESS_MAX_LISTS) {
+    console.warn(`🚫 Stateless cache is full (${STATELESS_MAX_LISTS} lists), not warming ${lsid}`);
+    return false;
   }
+  const ip = req.ip || '';
+  const recent = (statelessNewByIp.get(ip) || []).filter(t => now() - t < 3600 * 1000);
+  if (recent.length >= STATELESS_NEW_LISTS_PER_IP) {
+    console.warn(`🚫 ${ip} warmed ${recent.length} new stateless lists this hour, not warming ${lsid}`);
+    return false;
+  }
+  statelessNewByIp.delete(ip);
+  statelessNewByIp.set(ip, [...recent, now()]);
+  if (statelessNewByIp.size > 10000) statelessNewByIp.delete(statelessNewByIp.keys().next().value);
+  known.add(lsid);
+  return true;
 }
 
 // ---------------- Catalog ----------------
+const SORT_OPTIONS = ['Added','Name','Year','Rating','Runtime'];
+
+// Ratings sources can also sort by the user's own score
+function sortOptionsFor(lsid) {
+  return sourceKind(lsid) === 'ratings' ? [...SORT_OPTIONS, 'Your Rating'] : SORT_OPTIONS;
+}
+
 function sortMetas(arr, sortKey, order) {
   const dir = String(order||'asc').toLowerCase()==='desc' ? -1 : 1;
   // Normalize sort key to lowercase for comparison
   const normalizedSort = String(sortKey||'').toLowerCase();
   if (normalizedSort==='added' || normalizedSort==='date' || normalizedSort==='dateadded') {
-    return dir === -1 ? [...arr].reverse() : [...arr];
+    // Real added dates when the list page provided them; cache order (list position) otherwise
+    const keyed = arr.map((m, i) => ({ m, i, k: addedKey(m) }));
+    keyed.sort((a, b) => (a.k - b.k) || (a.i - b.i));
+    const out = keyed.map(x => x.m);
+    return dir === -1 ? out.reverse() : out;
   }
   const get = (m) => {
     switch (normalizedSort) {
       case 'year': return Number(m.year || 0);
       case 'rating': return Number((m.rating && m.rating.imdb) || m.imdbRating || 0);
       case 'runtime': return Number(m.runtime || 0);
+      case 'your rating':
+      case 'yourrating': return Number(m.userRating || 0);
       case 'name':
       case 'title':
       case 'alphabetical': default: return String(m.name || '').toLowerCase();
@@ -622,19 +902,20 @@ function sortMetas(arr, sortKey, order) {
 
 // ---------------- Meta ----------------
 async function handleMeta(req, res) {
-  const uid = getUidFromReq(req); setUidCookie(res, uid);
+  const uid = req.stateless ? STATELESS_UID : getUidFromReq(req);
+  if (!req.stateless) setUidCookie(res, uid);
   try {
     const { type, id } = req.params;
     if (!['movie','series'].includes(type)) return res.status(404).json({ meta: null });
     if (!id || !id.startsWith('tt')) return res.status(404).json({ meta: null });
 
     // First check if this item exists in any of our cached lists
-    const u = getUser(uid);
+    const u = requestUser(req, uid);
+    const lsids = (u.lists || []).map(list => list.id || list.lsid || list);
     let foundMeta = null;
     
     // Search through all user's lists to find this item
-    for (const list of (u.lists || [])) {
-      const lsid = list.id || list.lsid || list;
+    for (const lsid of lsids) {
       const cachedData = await readCacheFile(uid, lsid, type);
       if (cachedData && Array.isArray(cachedData)) {
         const found = cachedData.find(item => item.id === id);
@@ -647,11 +928,19 @@ async function handleMeta(req, res) {
 
     // If not found in our cache, fall back to Cinemeta
     if (!foundMeta) {
-      const cinemeta = await getMeta(type, id);
+      const cinemeta = await getFullMeta(type, id);
       if (!cinemeta) return res.status(404).json({ meta: null });
       foundMeta = cinemeta;
     }
 
+    if (type === 'series') {
+      // Seasons/episodes come from the separately cached full meta
+      foundMeta = mergeSeriesMeta(foundMeta, await getFullMeta('series', id));
+      // Series listed via some of its episodes: mark those episodes in videos
+      const entries = (await readEpisodeMaps(uid, lsids)).get(id);
+      if (entries && entries.length) foundMeta = highlightVideos(highlightCatalogMeta(foundMeta, entries), entries);
+    }
+
     // Force no cache for enhanced metadata
     res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.set('Pragma', 'no-cache');
@@ -664,14 +953,18 @@ async function handleMeta(req, res) {
 }
 
 async function handleCatalog(req, res) {
-  const uid = getUidFromReq(req); setUidCookie(res, uid);
+  if (!req.stateless) setUidCookie(res, getUidFromReq(req));
   try {
     const { type, catalogId } = req.params;
     if (!['movie','series'].includes(type)) return res.json({ metas: [] });
-    const m = catalogId.match(/^imdb-(.+?)-(ls\d+)-(movies|series)(?:-v\d+)?$/i);
-    if (!m) return res.json({ metas: [] });
-    const uidFromId = m[1];
-    const lsid = m[2].toLowerCase();
+    // lib/catalogIds.js: current and legacy (imdb-<uid>-<lsid>-movies-v2) ids
+    const info = decodeCatalogId(catalogId);
+    if (!info || info.type !== type) return res.json({ metas: [] });
+    const uidFromId = req.stateless ? STATELESS_UID : info.uid;
+    const user = requestUser(req, uidFromId);
+    const isAll = info.all;
+    const lsid = info.sourceId;
+    if (isAll && !ENABLE_ALL_CATALOGS) return res.json({ metas: [] });
 
     const extras = { ...parseExtrasFromParam(req), ...readExtras(req) };
     const skip = Math.max(0, parseInt(extras.skip || '0', 10) || 0);
@@ -680,14 +973,28 @@ async function handleCatalog(req, res) {
     const genreRaw = extras.genre || getGenreFromReq(req) || '';
 
     // Try to use cached file first
-    let metas = await readCacheFile(uidFromId, lsid, type);
+    let metas = isAll
+      ? await readMergedCache(uidFromId, user.lists, type)
+      : await readCacheFile(uidFromId, lsid, type);
     
-    if (!metas || !Array.isArray(metas)) {
+    let isWarming = false;
+    if (!isAll && (!metas || !Array.isArray(metas)) && req.stateless && !(await allowStatelessWarm(req, lsid))) {
+      return res.json({ metas: [] });
+    }
+    if (!isAll && (!metas || !Array.isArray(metas))) {
       // Fallback to real-time processing
       console.log(`Cache miss for ${lsid}-${type}, falling back to real-time processing`);
-      const info = await fetchImdbIds(lsid);
+      const info = await fetchImdbIds(lsid, uidFromId, { maxPages: REQUEST_SCRAPE_PAGES });
       const ids = info.ids || [];
-      metas = await typedPage(type, ids, { skip: 0, limit: Math.max(limit + skip, 80), search });
+      const labels = Object.fromEntries((info.items || []).map(it => [it.tt, it.titleLabel]));
+      metas = await typedPage(type, ids, { skip: 0, limit: Math.max(limit + skip, 80), search, labels, overrides: listOverrides(uidFromId, lsid) });
+      // Nothing preloads stateless lists: their first catalog request starts the warm
+      if (req.stateless) isWarming = await maybeRewarm(uidFromId, lsid, userList(user, lsid));
+    } else {
+      // Serve what we have; refresh stale lists in the background
+      const lsids = isAll ? (user.lists || []).map(l => l.id || l.lsid || l) : [lsid];
+      const flags = await Promise.all(lsids.map(id => maybeRewarm(uidFromId, id, userList(user, id))));
+      isWarming = flags.some(Boolean);
     }
 
     // Apply search filter if needed
@@ -708,19 +1015,30 @@ async function handleCatalog(req, res) {
       });
     }
 
-    const sort = extras.sort || extras.Sort || null;
-    const order = extras.order || extras.Order || 'asc';
+    // The list's saved default sort (and its order) applies when the request doesn't pick one
+    const list = isAll ? null : userList(user, lsid);
+    const listSort = !(extras.sort || extras.Sort) && list && list.sort ? list : null;
+    const sort = extras.sort || extras.Sort || (listSort && listSort.sort) || null;
+    const order = extras.order || extras.Order || (listSort && listSort.order) || 'asc';
     if (sort) metas = sortMetas(metas, sort, order);
 
     metas = metas.slice(skip, skip + limit);
 
-    if (metas && metas.length) bumpStats(lsid, type, metas.length);
+    // Series that are on the list because of some of their episodes say which ones
+    if (type === 'series' && metas.length) {
+      const lsids = isAll ? (user.lists || []).map(l => l.id || l.lsid || l) : [lsid];
+      const episodes = await readEpisodeMaps(uidFromId, lsids);
+      if (episodes.size) metas = metas.map(meta => highlightCatalogMeta(meta, episodes.get(meta.id)));
+    }
+
+    if (!isAll && metas && metas.length) bumpStats(lsid, type, metas.length);
 
     // Force fresh data for v2 enhanced metadata - no cache initially
     res.set('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.set('Pragma', 'no-cache');
     res.set('Expires', '0');
     res.set('ETag', `"v2-${lsid}-${type}-${Date.now()}"`); // Unique ETag for each request
+    if (isWarming) res.set('x-warming', '1');
     
     res.json({ metas });
   } catch (e) {
@@ -732,40 +1050,47 @@ async function handleCatalog(req, res) {
 // Meta endpoints
 app.get('/meta/:type/:id.json', handleMeta);
 
+mountVisibilityGate(app, { getUser: (uid, req) => (req.stateless ? req.stateless.user : users.get(uid) || null) });
 app.get('/catalog/:type/:catalogId.json', handleCatalog);
 app.get('/catalog/:type/:catalogId/:extra?.json', handleCatalog);
 app.get('/catalog/:type/:catalogId/*', handleCatalog);
 
+// ---------------- Admin / QA ----------------
+// /admin/warm-split and /admin/show-cache live in lib/adminRoutes.mjs
+mountAdminRoutes(app, {
+  cacheRoot: path.join(__dirname, 'data', 'cache'),
+  fetchIds: fetchImdbIds,
+  getOverrides: listOverrides,
+  issueSecret
+});
+
 // ---------------- Minimal configure API ----------------
+// Reads are open; every write goes through requireUserSecret (lib/userSecrets.js)
+
 app.get('/api/user/:uid/lists', (req, res) => {
   const uid = String(req.params.uid || 'default');
   res.json(getUser(uid).lists || []);
 });
 
-// Preload endpoint - starts cache warming for all lists
-app.post('/api/user/:uid/preload', async (req, res) => {
+// Preload endpoint - starts cache warming for all lists (?full=1 reclassifies every title)
+app.post('/api/user/:uid/preload', requireUserSecret, async (req, res) => {
   const uid = String(req.params.uid || 'default');
   const u = getUser(uid);
+  const full = /^(1|true)$/i.test(String(req.query.full || ''));
   
   if (!u.lists || u.lists.length === 0) {
     return res.json({ message: 'No lists to preload' });
   }
 
-  // Start warming all lists in background (don't wait)
-  const promises = u.lists.map(async (list) => {
-    const lsid = list.id || list.lsid || list;
-    try {
-      return await warmList(uid, lsid, { 
-        origin: process.env.PUBLIC_BASE || `http://localhost:${PORT || 7000}` 
-      });
-    } catch (err) {
-      console.log(`Preload failed for ${lsid}:`, err.message);
-      return { ok: false, lsid, error: err.message };
-    }
-  });
+  // Queue a warm job per list (don't wait)
+  const started = u.lists.map((list) => startWarm(uid, list.id || list.lsid || list, { full }));
+  const promises = started.map(job => job.promise.then(result => {
+    if (!result.ok) console.log(`Preload failed for ${job.lsid}:`, result.error);
+    return result;
+  }));
 
   // Don't wait for completion, return immediately
-  res.json({ message: `Started preloading ${u.lists.length} lists`, lists: u.lists.length });
+  res.json({ message: `Started preloading ${u.lists.length} lists`, lists: u.lists.length, jobs: started.map(j => j.id) });
   
   // Log results when done
   Promise.all(promises).then(results => {
@@ -774,65 +1099,316 @@ app.post('/api/user/:uid/preload', async (req, res) => {
   });
 });
 
-app.post('/api/user/:uid/lists', async (req, res) => {
+// Warm jobs: status snapshot + SSE progress stream
+app.get('/api/user/:uid/jobs', (req, res) => {
+  const uid = String(req.params.uid || 'default');
+  res.set('Cache-Control', 'no-store');
+  res.json(listJobs(uid));
+});
+
+app.get('/api/user/:uid/jobs/stream', (req, res) => {
+  const uid = String(req.params.uid || 'default');
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('snapshot', listJobs(uid));
+
+  const onJob = (e) => { if (e.job.uid === uid) send(e.type, e); };
+  jobEvents.on('job', onJob);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => { clearInterval(heartbeat); jobEvents.off('job', onJob); });
+});
+
+app.get('/api/user/:uid/jobs/:id', (req, res) => {
+  const job = getJob(String(req.params.id));
+  if (!job || job.uid !== String(req.params.uid)) return res.status(404).json({ error: 'Job not found' });
+  res.set('Cache-Control', 'no-store');
+  res.json(job);
+});
+
+app.post('/api/user/:uid/lists', requireUserSecret, async (req, res) => {
   try {
     const uid = String(req.params.uid || 'default');
     const u = getUser(uid);
     const srcRaw = (req.body && req.body.src) ? String(req.body.src).trim() : '';
     if (!srcRaw) return res.status(400).json({ error: 'Missing src' });
-    const m = srcRaw.match(/ls\d{6,}/i);
-    const lsid = (m ? m[0] : srcRaw).toLowerCase();
-    if (!/^ls\d{6,}$/i.test(lsid)) return res.status(400).json({ error: 'Invalid IMDb list id or URL' });
-    let title = `IMDb List ${lsid}`;
-    try { const info = await fetchImdbIds(lsid); title = info.title || title; } catch {}
+    // ls lists, /user/urXXXX/watchlist and /user/urXXXX/ratings (URL or stored id)
+    const src = parseSource(srcRaw);
+    if (!src) return res.status(400).json({ error: 'Invalid IMDb list, watchlist or ratings URL' });
+    const lsid = src.id;
+    let title = defaultSourceName(lsid);
+    try { const info = await fetchImdbIds(lsid, uid, { maxPages: REQUEST_SCRAPE_PAGES }); title = info.title || title; } catch {}
     const exists = (u.lists || []).some(x => (x.id || x.lsid || x) === lsid);
-    if (!exists) u.lists = [...(u.lists || []), { id: lsid, name: title, showIn: 'discover' }];
-    else u.lists = u.lists.map(x => ((x.id||x)===lsid ? { ...(typeof x==='object'?x:{id:lsid}), name: title } : x));
-    res.json({ id: lsid });
-    _saveNow();
+    if (!exists) u.lists = [...(u.lists || []), { id: lsid, kind: src.kind, name: title, showIn: 'discover' }];
+    else u.lists = u.lists.map(x => ((x.id||x)===lsid ? { ...(typeof x==='object'?x:{id:lsid}), kind: src.kind, name: title } : x));
+    await saveUser(u);
+    res.json({ id: lsid, kind: src.kind });
     
     // Auto-warm cache for new list
     console.log(`🔥 Auto-warming cache for new list: ${title} (${lsid})`);
-    warmList(uid, lsid, { 
-      origin: process.env.PUBLIC_BASE || `http://localhost:${PORT || 7000}` 
-    }).then(result => {
+    startWarm(uid, lsid).promise.then(result => {
       if (result.ok) {
         console.log(`✅ Cache warmed: ${result.counts.movies} movies, ${result.counts.series} series`);
       } else {
-        console.log(`❌ Cache warming failed for ${lsid}`);
+        console.log(`❌ Cache warming failed for ${lsid}:`, result.error || 'unknown error');
       }
-    }).catch(err => {
-      console.log(`❌ Cache warming error for ${lsid}:`, err.message);
     });
   } catch (e) { res.status(500).json({ error: 'Failed to add list' }); }
 });
 
-app.patch('/api/user/:uid/lists/:lsid', (req, res) => {
+// Upload an IMDb CSV export as a static list (no scraping).
+// Body: JSON { csv, name?, id?, dryRun? } or raw text/csv with ?name=&id=&dryRun=1.
+// With `id` (an existing uploaded list) the upload replaces it and the response carries a
+// diff against the previous version; dryRun returns the diff without saving.
+app.post('/api/user/:uid/lists/upload', requireUserSecret, express.text({ type: ['text/csv', 'text/plain'], limit: UPLOAD_LIMIT }), async (req, res) => {
+  try {
+    const uid = String(req.params.uid || 'default');
+    const body = typeof req.body === 'string' ? { csv: req.body } : (req.body || {});
+    const opt = (k) => body[k] !== undefined ? body[k] : req.query[k];
+    const csv = String(body.csv || '');
+    if (!csv.trim()) return res.status(400).json({ error: 'Missing csv' });
+
+    let parsed;
+    try { parsed = parseImdbExportCsv(csv); }
+    catch (e) { return res.status(400).json({ error: e.message }); }
+    if (!parsed.items.length) return res.status(400).json({ error: 'No titles found in CSV' });
+
+    const u = getUser(uid);
+    const replaceId = opt('id') ? String(opt('id')).toLowerCase() : '';
+    const existing = replaceId ? (u.lists || []).find(x => (x.id || x) === replaceId) : null;
+    if (replaceId && (!existing || sourceKind(replaceId) !== 'csv')) {
+      return res.status(404).json({ error: 'No uploaded list with that id' });
+    }
+    const id = replaceId || newStaticListId();
+    const prev = replaceId ? await readStaticSource(uid, id) : null;
+    const diff = diffStaticItems((prev && prev.items) || [], parsed.items);
+    const name = String(opt('name') || '').trim() || (existing && existing.name) || defaultSourceName(id);
+
+    if (/^(1|true)$/i.test(String(opt('dryRun') || ''))) {
+      return res.json({ ok: true, dryRun: true, id: replaceId || null, count: parsed.items.length, diff });
+    }
+
+    await writeStaticSource(uid, id, {
+      id,
+      name,
+      uploadedAt: new Date().toISOString(),
+      columns: parsed.columns,
+      items: parsed.items
+    });
+    if (existing) u.lists = u.lists.map(x => ((x.id || x) === id ? { ...x, name } : x));
+    else u.lists = [...(u.lists || []), { id, kind: 'csv', name, showIn: 'discover' }];
+    await saveUser(u);
+    mem.delete(`stats:${id}`);
+
+    console.log(`📄 CSV upload for ${uid}: ${name} (${id}), ${parsed.items.length} titles`);
+    const job = startWarm(uid, id, { changed: true });
+    res.json({ ok: true, id, kind: 'csv', count: parsed.items.length, diff, job: job.id });
+  } catch (e) {
+    console.error('CSV upload failed', e);
+    res.status(500).json({ error: 'Failed to upload CSV' });
+  }
+});
+
+function sanitizeVisibility(v) {
+  if (!v || typeof v !== 'object') return null;
+  const out = {};
+  for (const type of ['movie', 'series']) {
+    const t = v[type];
+    if (!t || typeof t !== 'object') continue;
+    out[type] = { home: t.home !== false, discover: t.discover !== false };
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Default catalog sort for a list: one of its sort options (canonical case) or null
+function sanitizeSort(lsid, sort) {
+  const want = String(sort || '').trim().toLowerCase();
+  return sortOptionsFor(lsid).find(o => o.toLowerCase() === want) || null;
+}
+
+app.patch('/api/user/:uid/lists/:lsid', requireUserSecret, async (req, res) => {
   const uid = String(req.params.uid || 'default');
   const lsid = String(req.params.lsid);
-  const { showIn } = req.body || {};
+  const { showIn, ttlSec, sort, order } = req.body || {};
+  const visibility = sanitizeVisibility((req.body || {}).visibility);
   const u = getUser(uid);
-  u.lists = (u.lists || []).map(x => ( (x.id||x)===lsid ? { ...(typeof x==='object'?x:{id:lsid}), showIn: (showIn||x.showIn||'discover') } : x ));
+  u.lists = (u.lists || []).map(x => {
+    if ((x.id||x) !== lsid) return x;
+    const next = { ...(typeof x==='object'?x:{id:lsid}), showIn: (showIn||x.showIn||'discover') };
+    if (visibility) next.visibility = { ...(next.visibility || {}), ...visibility };
+    else if (showIn) delete next.visibility; // legacy showIn replaces per-type toggles
+    if (ttlSec !== undefined) {
+      if (Number(ttlSec) > 0) next.ttlSec = Number(ttlSec); else delete next.ttlSec;
+    }
+    if (sort !== undefined) {
+      const s = sanitizeSort(lsid, sort);
+      if (s) next.sort = s; else delete next.sort;
+    }
+    if (order !== undefined) {
+      if (order === 'desc') next.order = 'desc'; else delete next.order;
+    }
+    return next;
+  });
+  await saveUser(u);
   res.json({ ok: true });
-  _saveNow();
 });
 
-app.delete('/api/user/:uid/lists/:lsid', (req, res) => {
+// Exclusion report (dropped + low-confidence items from the last warm) and the list's overrides
+app.get('/api/user/:uid/lists/:lsid/excluded', async (req, res) => {
+  const uid = String(req.params.uid || 'default');
+  const lsid = String(req.params.lsid);
+  if (!findList(uid, lsid)) return res.status(404).json({ error: 'List not found' });
+  const report = await readExclusionReport(path.join(__dirname, 'data', 'cache', uid), lsid);
+  res.set('Cache-Control', 'no-store');
+  res.json({ lsid, updatedAt: report.updatedAt, items: report.items || [], overrides: listOverrides(uid, lsid) });
+});
+
+// Added/removed titles per warm, newest first
+app.get('/api/user/:uid/lists/:lsid/changes', async (req, res) => {
+  const uid = String(req.params.uid || 'default');
+  const lsid = String(req.params.lsid);
+  if (!findList(uid, lsid)) return res.status(404).json({ error: 'List not found' });
+  res.set('Cache-Control', 'no-store');
+  res.json({ lsid, entries: (await readChangeLog(uid, lsid)).reverse() });
+});
+
+// Set/clear a manual override for one title, then rewarm so catalogs pick it up.
+// Body: { action: 'movie' | 'series' | 'hide' } or { action: 'map', series: 'tt…' }
+app.put('/api/user/:uid/lists/:lsid/overrides/:tt', requireUserSecret, async (req, res) => {
+  const uid = String(req.params.uid || 'default');
+  const lsid = String(req.params.lsid);
+  const tt = String(req.params.tt).toLowerCase();
+  const list = findList(uid, lsid);
+  if (!list || typeof list !== 'object') return res.status(404).json({ error: 'List not found' });
+  if (!/^tt\d+$/.test(tt)) return res.status(400).json({ error: 'Invalid title id' });
+  const override = sanitizeOverride(req.body);
+  if (!override) return res.status(400).json({ error: 'action must be movie, series, hide or map (with series: ttXXXX)' });
+  list.overrides = { ...(list.overrides || {}), [tt]: override };
+  await saveUser(getUser(uid));
+  const job = startWarm(uid, lsid, { changed: true });
+  res.json({ ok: true, overrides: list.overrides, job: job.id });
+});
+
+app.delete('/api/user/:uid/lists/:lsid/overrides/:tt', requireUserSecret, async (req, res) => {
+  const uid = String(req.params.uid || 'default');
+  const lsid = String(req.params.lsid);
+  const tt = String(req.params.tt).toLowerCase();
+  const list = findList(uid, lsid);
+  if (!list || typeof list !== 'object') return res.status(404).json({ error: 'List not found' });
+  const next = { ...(list.overrides || {}) };
+  delete next[tt];
+  if (Object.keys(next).length) list.overrides = next; else delete list.overrides;
+  await saveUser(getUser(uid));
+  const job = startWarm(uid, lsid, { changed: true });
+  res.json({ ok: true, overrides: list.overrides || {}, job: job.id });
+});
+
+app.delete('/api/user/:uid/lists/:lsid', requireUserSecret, async (req, res) => {
   const uid = String(req.params.uid || 'default');
   const lsid = String(req.params.lsid);
   const u = getUser(uid);
   u.lists = (u.lists || []).filter(x => (x.id || x) !== lsid);
+  await saveUser(u);
   res.json({ ok: true });
-  _saveNow();
+  if (sourceKind(lsid) === 'csv') deleteStaticSource(uid, lsid);
+});
+
+// ---------------- Resume interrupted warms ----------------
+// Warms cut short by a restart left checkpoints; pick them up again
+async function resumeInterruptedWarms(all) {
+  for (const u of all) {
+    const uid = u.uid;
+    for (const list of (u.lists || [])) {
+      const lsid = list.id || list.lsid || list;
+      if (await hasCheckpoint(uid, lsid)) {
+        console.log(`⏯️  Resuming interrupted warm for ${uid}/${lsid}`);
+        startWarm(uid, lsid);
+      }
+    }
+  }
+  // Stateless lists have no user record: their checkpoints are found in the shared cache
+  for (const name of await listDocs(path.join(__dirname, 'data', 'cache', STATELESS_UID))) {
+    const m = name.match(/^(.+)-checkpoint\.json$/);
+    if (m && await hasCheckpoint(STATELESS_UID, m[1])) {
+      console.log(`⏯️  Resuming interrupted warm for ${STATELESS_UID}/${m[1]}`);
+      startWarm(STATELESS_UID, m[1]);
+    }
+  }
+}
+
+// ---------------- Stateless config API ----------------
+// The configure page keeps stateless installs in the browser and asks the server to pack
+// them into a token; nothing here is stored.
+app.get('/api/config', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ stateless: STATELESS_MODE });
+});
+
+// Source id and display name for an IMDb list/watchlist/ratings URL (what POST /api/user/:uid/lists stores)
+app.post('/api/config/resolve', async (req, res) => {
+  const src = parseSource(req.body && req.body.src);
+  if (!src) return res.status(400).json({ error: 'Invalid IMDb list, watchlist or ratings URL' });
+  let name = defaultSourceName(src.id);
+  try { const info = await fetchImdbIds(src.id, 'default', { maxPages: REQUEST_SCRAPE_PAGES }); name = info.title || name; } catch {}
+  res.json({ id: src.id, kind: src.kind, name });
+});
+
+// { lists: [{ id, name, visibility, sort, order }] } -> { token, manifestUrl }
+app.post('/api/config/encode', (req, res) => {
+  const lists = (req.body && req.body.lists) || [];
+  let token;
+  try {
+    token = encodeConfig({
+      lists: (Array.isArray(lists) ? lists : []).map(l => ({
+        ...l,
+        visibility: sanitizeVisibility(l && l.visibility) || undefined,
+        sort: sanitizeSort(l && l.id, l && l.sort) || undefined
+      }))
+    });
+  } catch (e) { return res.status(400).json({ error: e.message }); }
+  res.json({ token, manifestUrl: `${requestBase(req)}/${token}/manifest.json` });
+});
+
+app.get('/api/config/decode', (req, res) => {
+  try { res.json(decodeConfig(req.query.token)); }
+  catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// Warm a token's lists ahead of the first catalog request (fresh lists are left alone, new ones
+// only within the stateless warm limits)
+app.post('/api/config/preload', async (req, res) => {
+  let config;
+  try { config = decodeConfig(req.body && req.body.token); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  const warming = [];
+  const refused = [];
+  for (const list of config.lists) {
+    if (!(await allowStatelessWarm(req, list.id))) refused.push(list.id);
+    else if (await maybeRewarm(STATELESS_UID, list.id, list)) warming.push(list.id);
+  }
+  res.json({ lists: config.lists.length, warming, refused });
 });
 
-// ---------------- Start ----------------
 // ---------------- Start ----------------
 const PORT = process.env.PORT || 7000;
 if (!IS_NETLIFY) {
-  app.listen(PORT, () => {
-    console.log(`IMDbStream server running on http://localhost:${PORT}`);
-    console.log(`Configure at: http://localhost:${PORT}/configure?uid=default`);
+  // No usable user store → don't come up at all (rather than serve as if there were no users)
+  usersReady().then(loadAllUsers).then((all) => {
+    app.listen(PORT, () => {
+      console.log(`IMDbStream server running on http://localhost:${PORT} (storage: ${storageBackendName()}, ${all.length} user(s))`);
+      console.log(`Configure at: http://localhost:${PORT}/configure`);
+      const unclaimed = all.filter(u => !isClaimed(u)).length;
+      if (unclaimed) console.log(`🔑 ${unclaimed} user(s) have no secret yet and can't be edited: issue one with POST /admin/users/<uid>/secret`);
+      resumeInterruptedWarms(all);
+    });
+  }, (e) => {
+    console.error(`❌ Not starting without a usable user store: ${e.message}`);
+    process.exit(1);
   });
 }
 
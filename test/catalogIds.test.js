@@ -0,0 +1,80 @@
+// test/catalogIds.test.js
+// lib/catalogIds.js: version 3 ids round-trip any uid, legacy ids still decode, and nothing
+// malformed (or whose uid could leave the cache directory) does.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCatalogId, decodeCatalogId, escapePart, unescapePart, ALL_SOURCE_ID, CATALOG_ID_VERSION } from '../lib/catalogIds.js';
+
+test('round trip for every source kind and the merged catalog', () => {
+  const cases = [
+    { uid: 'u1', sourceId: 'ls004943234', kind: 'list', type: 'movie' },
+    { uid: 'u1', sourceId: 'ur12345678-watchlist', kind: 'watchlist', type: 'series' },
+    { uid: 'u1', sourceId: 'ur12345678-ratings', kind: 'ratings', type: 'movie' },
+    { uid: 'u1', sourceId: 'csv-3f9a0c12d4', kind: 'csv', type: 'series' },
+    { uid: 'u1', sourceId: ALL_SOURCE_ID, kind: 'all', type: 'movie' }
+  ];
+  for (const c of cases) {
+    const id = encodeCatalogId({ uid: c.uid, sourceId: c.sourceId, type: c.type });
+    assert.match(id, /^imdb3\.[A-Za-z0-9_~-]+\.[a-z]+\.[A-Za-z0-9_~-]+\.(movie|series)\.[0-9a-f]{6}$/);
+    assert.deepEqual(decodeCatalogId(id), {
+      uid: c.uid, sourceId: c.sourceId, kind: c.kind, type: c.type, all: c.kind === 'all', version: CATALOG_ID_VERSION
+    });
+  }
+});
+
+test('uids with dashes, dots, spaces and non-ASCII survive', () => {
+  for (const uid of ['my-user', 'a.b.c', 'with space', 'ünïcødé', 'x~2e', '..x', 'ls123-movies']) {
+    const id = encodeCatalogId({ uid, sourceId: 'ls1', type: 'movie' });
+    assert.equal(id.split('.').length, 6);
+    assert.equal(decodeCatalogId(id).uid, uid);
+  }
+  assert.equal(escapePart('a.b'), 'a~2eb');
+  assert.equal(unescapePart('a~2eb'), 'a.b');
+  assert.equal(unescapePart('a.b'), null);
+});
+
+test('options change the hash only', () => {
+  const a = encodeCatalogId({ uid: 'u1', sourceId: 'ls1', type: 'movie' });
+  const b = encodeCatalogId({ uid: 'u1', sourceId: 'ls1', type: 'movie', options: { sort: 'Year', order: 'desc' } });
+  const c = encodeCatalogId({ uid: 'u1', sourceId: 'ls1', type: 'movie', options: { order: 'desc', sort: 'Year', empty: '' } });
+  assert.notEqual(a, b);
+  assert.equal(b, c);
+  assert.deepEqual(decodeCatalogId(a), decodeCatalogId(b));
+});
+
+test('legacy ids still decode', () => {
+  assert.deepEqual(decodeCatalogId('imdb-u1-ls004943234-movies'),
+    { uid: 'u1', sourceId: 'ls004943234', kind: 'list', type: 'movie', all: false, version: 2 });
+  assert.deepEqual(decodeCatalogId('imdb-my-user-ls004943234-series-v2'),
+    { uid: 'my-user', sourceId: 'ls004943234', kind: 'list', type: 'series', all: false, version: 2 });
+  assert.deepEqual(decodeCatalogId('imdb-my-user-ALL-movies-v2'),
+    { uid: 'my-user', sourceId: ALL_SOURCE_ID, kind: 'all', type: 'movie', all: true, version: 2 });
+  assert.deepEqual(decodeCatalogId('imdb-u1-UR123-Watchlist-Series'),
+    { uid: 'u1', sourceId: 'ur123-watchlist', kind: 'watchlist', type: 'series', all: false, version: 2 });
+});
+
+test('malformed ids decode to null', () => {
+  const good = encodeCatalogId({ uid: 'u1', sourceId: 'ls1', type: 'movie' });
+  for (const id of [
+    '', null, undefined, 'tt0111161', 'imdb3.', 'imdb3.u1.list.ls1.movie', `${good}.x`,
+    good.replace('.movie.', '.episode.'), good.replace(/\.[0-9a-f]{6}$/, '.zzzzzz'),
+    'imdb3.u1.list.ur1-watchlist.movie.000000', // kind doesn't match the source id
+    'imdb3.u1.all.ls1.movie.000000', 'imdb3.u1.list.ALL.movie.000000',
+    'imdb3.u~zz.list.ls1.movie.000000', 'imdb3..list.ls1.movie.000000',
+    'imdb4.u1.list.ls1.movie.000000', 'imdb-u1-ls1-episodes', 'imdb-u1-xx1-movies'
+  ]) {
+    assert.equal(decodeCatalogId(id), null, String(id));
+  }
+  assert.throws(() => encodeCatalogId({ uid: 'u1', sourceId: 'ls1', type: 'episode' }));
+  assert.throws(() => encodeCatalogId({ uid: 'u1', sourceId: 'nope', type: 'movie' }));
+});
+
+test('uids that could leave the cache directory are rejected', () => {
+  for (const uid of ['../x', '..', '.', 'a/b', 'a\\b', '..\\x', 'a\0b']) {
+    assert.equal(decodeCatalogId(`imdb3.${escapePart(uid)}.list.ls1.movie.000000`), null, uid);
+  }
+  assert.equal(decodeCatalogId('imdb3.~2e~2e~2fx.list.ls1.movie.000000'), null);
+  assert.equal(decodeCatalogId('imdb-../x-ls1-movies'), null);
+  assert.equal(decodeCatalogId('imdb-..-ls1-movies'), null);
+});
@@ -0,0 +1,69 @@
+// test/prefetch.test.js
+// lib/prefetch.js warmList: a warm whose every lookup fails must not overwrite a list's caches.
+// Runs an uploaded (csv-) list, so nothing is scraped, with stubbed Cinemeta lookups.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const cwd = process.cwd();
+const dir = mkdtempSync(path.join(tmpdir(), 'imdbstream-prefetch-'));
+let prefetch;
+let staticLists;
+
+before(async () => {
+  // Storage paths are resolved against the working directory when the modules load
+  process.chdir(dir);
+  prefetch = await import('../lib/prefetch.js');
+  staticLists = await import('../lib/staticLists.js');
+});
+after(() => {
+  process.chdir(cwd);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const UID = 'u1';
+const resolvers = ['cinemeta'];
+const upload = (id, tts) => staticLists.writeStaticSource(UID, id, { name: 'Upload', items: tts.map((tt, i) => ({ tt, position: i + 1 })) });
+const movieMeta = async (type, tt) => (type === 'movie' ? { id: tt, type: 'movie', name: `Movie ${tt}`, genres: ['Drama'] } : null);
+const outage = async () => { throw new Error('Cinemeta unreachable'); };
+
+test('a full warm during an outage keeps the previous caches', async () => {
+  const lsid = 'csv-0a';
+  await upload(lsid, ['tt0000001', 'tt0000002']);
+  const ok = await prefetch.warmList(UID, lsid, { getMeta: movieMeta, resolvers });
+  assert.equal(ok.ok, true);
+  const before = await prefetch.readCache(UID, lsid, 'movies');
+  assert.deepEqual(before.map(m => m.id), ['tt0000001', 'tt0000002']);
+
+  const res = await prefetch.warmList(UID, lsid, { getMeta: outage, resolvers, full: true });
+  assert.equal(res.ok, false);
+  assert.deepEqual(await prefetch.readCache(UID, lsid, 'movies'), before);
+  assert.equal((await prefetch.readWarmState(UID, lsid)).partial, undefined);
+});
+
+test('a first warm during an outage writes no complete caches', async () => {
+  const lsid = 'csv-0b';
+  await upload(lsid, ['tt0000003', 'tt0000004']);
+  const res = await prefetch.warmList(UID, lsid, { getMeta: outage, resolvers });
+  assert.equal(res.ok, false);
+  assert.equal(existsSync(path.join(dir, 'data', 'cache', UID, `${lsid}-facets.json`)), false);
+  assert.equal(existsSync(path.join(dir, 'data', 'cache', UID, `${lsid}-ids.json`)), false);
+});
+
+test('an incremental warm only counts the titles it classifies', async () => {
+  const lsid = 'csv-0c';
+  await upload(lsid, ['tt0000005']);
+  assert.equal((await prefetch.warmList(UID, lsid, { getMeta: movieMeta, resolvers })).ok, true);
+  await upload(lsid, ['tt0000005', 'tt0000006']);
+
+  // The one new title fails: nothing changes
+  assert.equal((await prefetch.warmList(UID, lsid, { getMeta: outage, resolvers })).ok, false);
+  assert.deepEqual((await prefetch.readCache(UID, lsid, 'movies')).map(m => m.id), ['tt0000005']);
+
+  // It resolves once Cinemeta is back
+  assert.equal((await prefetch.warmList(UID, lsid, { getMeta: movieMeta, resolvers })).ok, true);
+  assert.deepEqual((await prefetch.readCache(UID, lsid, 'movies')).map(m => m.id), ['tt0000005', 'tt0000006']);
+});
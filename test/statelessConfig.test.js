@@ -0,0 +1,73 @@
+// test/statelessConfig.test.js
+// lib/statelessConfig.js: tokens round-trip, and anything that isn't a version 1 token of ours
+// is refused (existing stateless installs depend on the format staying readable).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { encodeConfig, decodeConfig, looksLikeConfigToken, TOKEN_VERSION } from '../lib/statelessConfig.js';
+
+const pack = (payload, version = TOKEN_VERSION) =>
+  `c${version}.${deflateRawSync(Buffer.from(JSON.stringify(payload), 'utf8')).toString('base64url')}`;
+
+test('round trip keeps ids, names, visibility, sort and order', () => {
+  const lists = [
+    { id: 'ls004943234', name: 'Favourites', visibility: { movie: { home: true, discover: false }, series: { home: false, discover: true } }, sort: 'Year', order: 'desc' },
+    { id: 'ur12345678-watchlist' },
+    { id: 'UR12345678-Ratings', name: 'Rated', sort: 'Your Rating' }
+  ];
+  const token = encodeConfig({ lists });
+  assert.ok(looksLikeConfigToken(token));
+  assert.match(token, /^c1\.[A-Za-z0-9_-]+$/);
+  const { lists: out } = decodeConfig(token);
+  assert.equal(out.length, 3);
+  assert.deepEqual(out[0], {
+    id: 'ls004943234', kind: 'list', name: 'Favourites',
+    visibility: { movie: { home: true, discover: false }, series: { home: false, discover: true } },
+    sort: 'Year', order: 'desc'
+  });
+  const all = { movie: { home: true, discover: true }, series: { home: true, discover: true } };
+  assert.deepEqual(out[1], { id: 'ur12345678-watchlist', kind: 'watchlist', name: out[1].name, visibility: all });
+  assert.ok(out[1].name);
+  assert.deepEqual(out[2], { id: 'ur12345678-ratings', kind: 'ratings', name: 'Rated', visibility: all, sort: 'Your Rating' });
+});
+
+test('an empty config and duplicate ids', () => {
+  assert.deepEqual(decodeConfig(encodeConfig({})), { lists: [] });
+  const { lists } = decodeConfig(pack({ l: [['ls1'], ['ls1', 'Again']] }));
+  assert.equal(lists.length, 1);
+  assert.notEqual(lists[0].name, 'Again');
+});
+
+test('lists a token cannot carry are refused when encoding', () => {
+  assert.throws(() => encodeConfig({ lists: [{ id: 'csv-3f9a0c12d4' }] }), /CSV/);
+  assert.throws(() => encodeConfig({ lists: [{ id: 'not-a-list' }] }), /Not a list id/);
+  assert.throws(() => encodeConfig({ lists: 'ls1' }), /array/);
+  assert.throws(() => encodeConfig({ lists: Array.from({ length: 101 }, (_, i) => ({ id: `ls${i}` })) }), /At most/);
+});
+
+test('an unknown version is refused', () => {
+  const token = encodeConfig({ lists: [{ id: 'ls1' }] });
+  assert.throws(() => decodeConfig(token.replace(/^c1\./, 'c2.')), /Unsupported config token version 2/);
+  assert.throws(() => decodeConfig(pack({ l: [['ls1']] }, 0)), /Unsupported/);
+});
+
+test('corrupt, truncated and garbage tokens are refused', () => {
+  const token = encodeConfig({ lists: [{ id: 'ls004943234', name: 'Favourites' }, { id: 'ls5' }] });
+  for (const bad of [
+    token.slice(0, token.length - 6),            // truncated
+    `${token.slice(0, 3)}${token[3] === 'A' ? 'B' : 'A'}${token.slice(4)}`, // corrupted byte
+    'c1.', 'c1.!!!', 'c1.aGVsbG8', '', null, 'configure', `c1.${'A'.repeat(9000)}`,
+    pack({ x: 1 }), pack({ l: 'ls1' }), pack({ l: ['ls1'] }), pack({ l: [['nope']] }), pack({ l: [['csv-3f9a0c12d4']] }),
+    pack({ l: Array.from({ length: 101 }, (_, i) => [`ls${i}`]) })
+  ]) {
+    assert.throws(() => decodeConfig(bad), Error, String(bad).slice(0, 40));
+  }
+});
+
+test('looksLikeConfigToken ignores ordinary first path segments', () => {
+  for (const seg of ['configure', 'api', 'manifest.json', 'catalog', 'meta', 'admin', 'assets', 'ui', 'c', 'c1', 'c1.', 'cx.abc', 'C1.abc', 'c1.ab/c', 'u1234567890abcdef12345678', '']) {
+    assert.equal(looksLikeConfigToken(seg), false, seg);
+  }
+  assert.equal(looksLikeConfigToken('c1.abc_-D'), true);
+});
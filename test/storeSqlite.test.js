@@ -0,0 +1,42 @@
+// test/storeSqlite.test.js
+// lib/storeSqlite.js against a real database file (skipped without the optional better-sqlite3).
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createSqliteBackend } from '../lib/storeSqlite.js';
+
+let hasSqlite = true;
+try { await import('better-sqlite3'); } catch { hasSqlite = false; }
+const skip = hasSqlite ? false : 'better-sqlite3 is not installed';
+
+const dir = mkdtempSync(path.join(tmpdir(), 'imdbstream-sqlite-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('put / get / del round trip', { skip }, async () => {
+  const b = await createSqliteBackend({ file: path.join(dir, 'a', 'store.sqlite') });
+  assert.equal(b.name, 'sqlite');
+  assert.equal(await b.get('users/u1.json'), null);
+  await b.put('users/u1.json', '{"uid":"u1"}');
+  await b.put('users/u1.json', '{"uid":"u1","lists":[]}');
+  assert.equal(await b.get('users/u1.json'), '{"uid":"u1","lists":[]}');
+  await b.del('users/u1.json');
+  assert.equal(await b.get('users/u1.json'), null);
+  await b.del('users/u1.json'); // deleting a missing key is fine
+});
+
+test('list returns keys under a prefix, sorted, LIKE wildcards taken literally', { skip }, async () => {
+  const b = await createSqliteBackend({ file: path.join(dir, 'list.sqlite') });
+  for (const k of ['users/b.json', 'users/a.json', 'users_x/c.json', 'cache/u1/ls1-movies.json', 'users/%.json']) await b.put(k, '{}');
+  assert.deepEqual(await b.list('users/'), ['users/%.json', 'users/a.json', 'users/b.json']);
+  assert.deepEqual(await b.list('users_'), ['users_x/c.json']);
+  assert.deepEqual(await b.list('nothing/'), []);
+});
+
+test('documents survive reopening the file', { skip }, async () => {
+  const file = path.join(dir, 'reopen.sqlite');
+  await (await createSqliteBackend({ file })).put('meta/class/tt1.json', '{"tt":"tt1"}');
+  assert.equal(await (await createSqliteBackend({ file })).get('meta/class/tt1.json'), '{"tt":"tt1"}');
+});
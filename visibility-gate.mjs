@@ -2,6 +2,7 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { decodeCatalogId } from "./lib/catalogIds.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,31 +34,61 @@ function readUserEntry(uid) {
   return null;
 }
 
-function getVisibilityFor(uid, lsid, type) {
-  const user = readUserEntry(uid);
+/**
+ * Per-type visibility for a list entry: { home, discover }.
+ * `visibility[type]` (configure UI toggles) wins; otherwise the legacy `showIn`
+ * value maps the same way the UI reads it: 'hidden' | 'home' | 'discover' | 'both'.
+ * 'discover' was the default stamped on every list before per-type toggles, and those lists
+ * showed up on the board too, so it means both.
+ */
+export function resolveVisibility(list, type) {
+  const def = { discover: true, home: true };
+  if (!list || typeof list !== "object") return def;
+  const v = list.visibility && list.visibility[type];
+  if (v) {
+    return {
+      discover: typeof v.discover === "boolean" ? v.discover : true,
+      home: typeof v.home === "boolean" ? v.home : true
+    };
+  }
+  if (!list.showIn) return def;
+  const legacy = String(list.showIn).toLowerCase();
+  if (legacy === "hidden") return { discover: false, home: false };
+  return {
+    discover: legacy !== "home",
+    home: true
+  };
+}
+
+function getVisibilityFor(user, lsid, type) {
   if (!user || !Array.isArray(user.lists)) return { discover: true, home: true };
   const hit =
     user.lists.find?.(x => (x?.id || x?.lsid || x) === lsid) ??
     user.lists[lsid];
-  const def = { discover: true, home: true };
-  if (!hit || !hit.visibility || !hit.visibility[type]) return def;
-  const v = hit.visibility[type];
-  return {
-    discover: typeof v.discover === "boolean" ? v.discover : true,
-    home: typeof v.home === "boolean" ? v.home : true
-  };
+  return resolveVisibility(hit, type);
 }
 
+// Per-list catalogs only: the merged "All lists" catalogs have no visibility of their own
 function parseCatalogId(catalogId) {
-  const m = /^imdb-([^-\s]+)-(ls\d+)-(movies|series)$/i.exec(catalogId || "");
-  if (!m) return null;
-  const uid = decodeURIComponent(m[1]);
-  const lsid = m[2].toLowerCase();
-  const type = m[3] === "movies" ? "movie" : "series";
-  return { uid, lsid, type };
+  const info = decodeCatalogId(catalogId);
+  if (!info || info.all) return null;
+  return { uid: info.uid, lsid: info.sourceId, type: info.type };
+}
+
+// Discover requests always carry a genre (query, /genre/<g>.json or genre=<g> extras)
+function hasGenre(req) {
+  if (req.query?.genre || req.params?.genre) return true;
+  return /(^|[/&?])genre=[^&/]+/i.test(decodeURIComponent(req.originalUrl || req.url || ""));
 }
 
-export function mountVisibilityGate(app) {
+/**
+ * Blocks catalog requests the list's visibility doesn't allow.
+ * Home-hidden catalogs are kept off the board by the manifest (genre marked required).
+ * opts.getUser(uid, req) returns the live user record (for stateless installs, the one decoded
+ * from the request's config token); without it users.json is read from disk.
+ */
+export function mountVisibilityGate(app, opts = {}) {
+  const lookup = typeof opts.getUser === "function" ? opts.getUser : readUserEntry;
   const patterns = [
     "/catalog/:type/:catalogId.json",
     "/catalog/:type/:catalogId/genre/:genre.json",
@@ -69,8 +100,8 @@ export function mountVisibilityGate(app) {
       const info = parseCatalogId(req.params?.catalogId);
       if (!info) return next();
       const { uid, lsid, type } = info;
-      const vis = getVisibilityFor(uid, lsid, type);
-      const isDiscover = Boolean(req.query?.genre || req.params?.genre);
+      const vis = getVisibilityFor(lookup(uid, req), lsid, type);
+      const isDiscover = hasGenre(req);
       if (vis.discover === false && vis.home === false) {
         res.status(404).json({ err: "CATALOG_DISABLED" }); return;
       }